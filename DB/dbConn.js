@@ -7,20 +7,69 @@
 const mysql = require("mysql2");
 const bcrypt = require("bcrypt");
 const validator = require("validator");
+const {
+  CAPACITY_HOLDING_STATUSES,
+  toDayKey,
+  parseDay,
+  getListingCapacity,
+  getCapacityUnit,
+  getRequestedAmount,
+  buildAvailabilityCalendar,
+  getPeakUsage,
+  getMinimumRemaining,
+} = require("../services/availability.js");
+const {
+  quoteBooking,
+  matchesQuote,
+  getPriceUnitAliases,
+} = require("../services/pricing.js");
+const {
+  CONTACT_VISIBLE_STATUSES,
+  isBookingStatus,
+  canTransition,
+  getTransitionError,
+} = require("../services/bookingLifecycle.js");
+const {
+  LISTING_STATUS,
+  canProviderTransition,
+  getListingTransitionError,
+  isListingVisibleTo,
+} = require("../services/listingLifecycle.js");
+const {
+  DEFAULT_SLOT_WEIGHT,
+  DEFAULT_SURCHARGE,
+  getAcceptedCategories,
+  resolveBookingItems,
+} = require("../services/itemCategories.js");
+const { createGeocoder } = require("../services/geocoder.js");
+const { storage, resolveMediaUrls } = require("../services/storage.js");
+const { generateToken, hashToken } = require("../services/secureTokens.js");
+const { loginLockout } = require("../config/rateLimits.js");
+const {
+  NOTIFICATION_TYPES,
+  describeNotification,
+  notificationHub,
+} = require("../services/notifications.js");
 
-const conn = mysql.createConnection({
+// Shared with the session store (DB/sessionStore.js)
+const dbConfig = {
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASS,
   database: process.env.DB_DATABASE_NAME,
-});
+};
 
-conn.connect((err) => {
+// Single queries go through the pool directly; transactions take a
+// connection of their own, see withConnection
+const pool = mysql.createPool(dbConfig);
+
+pool.getConnection((err, connection) => {
   if (err) {
     console.log("DATABASE CONNECTION ERROR: " + err.message);
     return;
   }
   console.log("Authentication Database Connection Established");
+  connection.release();
 });
 
 // ===============================================================
@@ -38,32 +87,273 @@ const validateRole = (role) =>
 //                     DB HELPER FUNCTIONS
 // ===============================================================
 
-const getOrCreateAddress = (addressData, dbConnection) => {
+// Result shape for field-level validation errors, see middleware/validate.js
+const validationFailure = (errors) => ({
+  success: false,
+  reason: "invalid_input",
+  message: "Validation failed.",
+  errors,
+});
+
+// Returns { username?, email? } errors for values taken by another account
+const findDuplicateUserFields = async (
+  { username, email },
+  dbConnection,
+  excludeUserId = null
+) => {
+  const errors = {};
+  if (username) {
+    const users = await runQuery(
+      "SELECT UserID FROM User WHERE Username = ? AND UserID <> ?",
+      [username, excludeUserId || 0],
+      dbConnection
+    );
+    if (users.length > 0) errors.username = "This username is already taken.";
+  }
+  if (email) {
+    const users = await runQuery(
+      "SELECT UserID FROM User WHERE Email = ? AND UserID <> ?",
+      [email, excludeUserId || 0],
+      dbConnection
+    );
+    if (users.length > 0)
+      errors.email = "An account with this email already exists.";
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+const geocoder = createGeocoder();
+
+// Coordinates sent by the client win; otherwise ask the geocoder.
+// A geocoding failure never blocks saving the address.
+const resolveCoordinates = async (addressData, addressGeocoder) => {
+  const latitude = parseFloat(addressData.latitude);
+  const longitude = parseFloat(addressData.longitude);
+  if (
+    latitude >= -90 &&
+    latitude <= 90 &&
+    longitude >= -180 &&
+    longitude <= 180
+  ) {
+    return { latitude, longitude };
+  }
+  try {
+    return await addressGeocoder.geocode(addressData);
+  } catch (error) {
+    console.error("Geocoding failed:", error.message);
+    return null;
+  }
+};
+
+const ADDRESS_LOOKUP_QUERY =
+  "SELECT AddressID FROM Address WHERE StreetName = ? AND City = ? AND PostalCode = ?";
+
+// Normalizes an address and finds its coordinates. Call it before opening a
+// transaction, so a slow geocoder never keeps one open. Addresses that are
+// already stored are not geocoded again.
+const prepareAddress = async (addressData, addressGeocoder = geocoder) => {
+  const { streetName, city, postalCode, number } = addressData;
+  const address = {
+    streetName: `${number || ""} ${streetName}`.trim(),
+    city,
+    postalCode,
+    coordinates: null,
+  };
+  const existing = await runQuery(
+    ADDRESS_LOOKUP_QUERY,
+    [address.streetName, city, postalCode],
+    pool
+  );
+  if (existing.length === 0) {
+    address.coordinates = await resolveCoordinates(
+      { ...addressData, streetName: address.streetName },
+      addressGeocoder
+    );
+  }
+  return address;
+};
+
+// address comes from prepareAddress
+const getOrCreateAddress = async (address, dbConnection) => {
+  const { streetName, city, postalCode, coordinates } = address;
+  const checkResults = await runQuery(
+    ADDRESS_LOOKUP_QUERY,
+    [streetName, city, postalCode],
+    dbConnection
+  );
+  if (checkResults.length > 0) return checkResults[0].AddressID;
+
+  const insertQuery =
+    "INSERT INTO Address (StreetName, City, PostalCode, Latitude, Longitude) VALUES (?, ?, ?, ?, ?)";
+  const insertResult = await runQuery(
+    insertQuery,
+    [
+      streetName,
+      city,
+      postalCode,
+      coordinates ? coordinates.latitude : null,
+      coordinates ? coordinates.longitude : null,
+    ],
+    dbConnection
+  );
+  return insertResult.insertId;
+};
+
+// Columns holding storage keys that responses turn into URLs
+const LISTING_IMAGE_FIELDS = ["FileURL", "ThumbnailURL", "MediumURL"];
+const PRIMARY_IMAGE_FIELDS = ["PrimaryImage", "PrimaryThumbnail"];
+
+// Promise wrapper for a single query, used by multi-step operations
+const runQuery = (query, values, dbConnection) => {
+  return new Promise((resolve, reject) => {
+    dbConnection.query(query, values, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+};
+
+// Runs work(conn) on a pool connection of its own and releases it once the
+// returned promise settles. Every transaction needs this: on a connection
+// shared between requests their queries would end up in one transaction.
+const withConnection = (work) =>
+  new Promise((resolve, reject) => {
+    pool.getConnection((connectionErr, conn) => {
+      if (connectionErr) return reject(connectionErr);
+      Promise.resolve()
+        .then(() => work(conn))
+        .then(resolve, reject)
+        .finally(() => conn.release());
+    });
+  });
+
+const connectionFailure = (error) => {
+  console.error("DB connection error:", error);
+  return { success: false, message: "DB connection error." };
+};
+
+// Runs work(conn, afterCommit) in a transaction. Commits when it returns
+// success: true, rolls back when it returns success: false or throws.
+// Callbacks passed to afterCommit only run once the commit went through.
+const withTransaction = (work, errorMessage) =>
+  withConnection(
+    (conn) =>
+      new Promise((resolve) => {
+        conn.beginTransaction(async (transactionErr) => {
+          if (transactionErr) {
+            return resolve({
+              success: false,
+              message: "DB transaction error.",
+            });
+          }
+          const commitCallbacks = [];
+          const afterCommit = (callback) => commitCallbacks.push(callback);
+          try {
+            const result = await work(conn, afterCommit);
+            if (!result.success) return conn.rollback(() => resolve(result));
+            conn.commit((commitErr) => {
+              if (commitErr)
+                return conn.rollback(() =>
+                  resolve({ success: false, message: "DB commit error." })
+                );
+              commitCallbacks.forEach((callback) => callback());
+              resolve(result);
+            });
+          } catch (error) {
+            console.error(`${errorMessage}:`, error);
+            conn.rollback(() =>
+              resolve({ success: false, message: errorMessage })
+            );
+          }
+        });
+      })
+  ).catch(connectionFailure);
+
+// Locks the listing row so concurrent bookings are checked one at a time
+const getListingForUpdate = (listingId, dbConnection) => {
   return new Promise((resolve, reject) => {
-    const { streetName, city, postalCode, number } = addressData;
-    const fullStreetName = `${number || ""} ${streetName}`.trim();
+    const query = `
+      SELECT ListingID, ProviderID, Title, Status, StorageType,
+        TotalCapacity_Slots, CapacitySQMeter, PricePerUnit, PriceUnit
+      FROM Listing WHERE ListingID = ? FOR UPDATE`;
+    dbConnection.query(query, [listingId], (err, results) => {
+      if (err) return reject(err);
+      resolve(results[0] || null);
+    });
+  });
+};
+
+// Categories an ItemSlot listing accepts, with their weight and surcharge
+const getListingAcceptedCategories = async (listingId, dbConnection) => {
+  const [listingCategories, activeCategories] = await Promise.all([
+    runQuery(
+      `SELECT c.CategoryID, c.Name, c.IsActive, lc.SlotWeight, lc.Surcharge
+       FROM ListingCategory lc
+       JOIN Category c ON lc.CategoryID = c.CategoryID
+       WHERE lc.ListingID = ?
+       ORDER BY c.Name`,
+      [listingId],
+      dbConnection
+    ),
+    runQuery(
+      "SELECT CategoryID, Name FROM Category WHERE IsActive = 1 ORDER BY Name",
+      [],
+      dbConnection
+    ),
+  ]);
+  return getAcceptedCategories(listingCategories, activeCategories);
+};
+
+// Replaces the client's booking items with ones checked against the
+// listing's categories, so weights and surcharges always come from the DB
+const resolveBookingRequest = async (listing, bookingData, dbConnection) => {
+  if (listing.StorageType !== "ItemSlot") {
+    return { success: true, data: { ...bookingData, items: undefined } };
+  }
+  const accepted = await getListingAcceptedCategories(
+    listing.ListingID,
+    dbConnection
+  );
+  const resolved = resolveBookingItems(bookingData.items, accepted);
+  if (!resolved.success) return validationFailure(resolved.errors);
+  return { success: true, data: { ...bookingData, items: resolved.items } };
+};
+
+// Upper bound for "every booking from today on"
+const LAST_BOOKABLE_DAY = "9999-12-31";
+
+const notBookableResult = {
+  success: false,
+  reason: "conflict",
+  message: "This listing is not accepting bookings.",
+};
 
-    const checkQuery =
-      "SELECT AddressID FROM Address WHERE StreetName = ? AND City = ? AND PostalCode = ?";
+// Bookings of a listing that touch any day in [fromDay, toDay], by default
+// the ones holding capacity
+const getOverlappingBookings = (
+  listingId,
+  fromDay,
+  toDay,
+  dbConnection,
+  statuses = CAPACITY_HOLDING_STATUSES
+) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        b.BookingID, b.StartDate, b.EndDate, b.RequestedCapacity_SQMeters,
+        COALESCE(SUM(bi.Quantity * bi.SlotWeight), 0) AS SlotQuantity
+      FROM Booking b
+      LEFT JOIN BookingItem bi ON b.BookingID = bi.BookingID
+      WHERE b.ListingID = ? AND b.BookingStatus IN (?)
+        AND DATE(b.StartDate) <= ? AND DATE(b.EndDate) >= ?
+      GROUP BY b.BookingID;
+    `;
     dbConnection.query(
-      checkQuery,
-      [fullStreetName, city, postalCode],
-      (checkErr, checkResults) => {
-        if (checkErr) return reject(checkErr);
-        if (checkResults.length > 0) {
-          return resolve(checkResults[0].AddressID);
-        } else {
-          const insertQuery =
-            "INSERT INTO Address (StreetName, City, PostalCode) VALUES (?, ?, ?)";
-          dbConnection.query(
-            insertQuery,
-            [fullStreetName, city, postalCode],
-            (insertErr, insertResult) => {
-              if (insertErr) return reject(insertErr);
-              resolve(insertResult.insertId);
-            }
-          );
-        }
+      query,
+      [listingId, statuses, toDay, fromDay],
+      (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
       }
     );
   });
@@ -88,7 +378,7 @@ let authDataPool = {};
 authDataPool.getUserByUsername = (username) => {
   return new Promise((resolve, reject) => {
     const query = "SELECT * FROM User WHERE Username = ?";
-    conn.query(query, [username], (err, results) => {
+    pool.query(query, [username], (err, results) => {
       if (err) return reject(err);
       resolve(results);
     });
@@ -98,7 +388,7 @@ authDataPool.getUserByUsername = (username) => {
 authDataPool.getUserByEmail = (email) => {
   return new Promise((resolve, reject) => {
     const query = "SELECT * FROM User WHERE Email = ?";
-    conn.query(query, [email], (err, results) => {
+    pool.query(query, [email], (err, results) => {
       if (err) return reject(err);
       resolve(results);
     });
@@ -108,7 +398,7 @@ authDataPool.getUserByEmail = (email) => {
 authDataPool.getUserById = (userId) => {
   return new Promise((resolve, reject) => {
     const query = "SELECT * FROM User WHERE UserID = ?";
-    conn.query(query, [userId], (err, results) => {
+    pool.query(query, [userId], (err, results) => {
       if (err) return reject(err);
       resolve(results);
     });
@@ -127,9 +417,9 @@ authDataPool.getUserProfile = (userId) => {
       LEFT JOIN Address a ON u.AddressLine1 = a.AddressID
       WHERE u.UserID = ?
     `;
-    conn.query(query, [userId], (err, results) => {
+    pool.query(query, [userId], (err, results) => {
       if (err) return reject(err);
-      resolve(results[0] || null);
+      resolve(resolveMediaUrls(results[0] || null, ["ProfilePictureURL"]));
     });
   });
 };
@@ -138,202 +428,267 @@ authDataPool.getUserProfile = (userId) => {
 //                      LISTING LOOKUP OPERATIONS
 // ===============================================================
 
-authDataPool.getListingById = (listingId) => {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        l.*,
-        a.City, a.StreetName,
-        GROUP_CONCAT(CONCAT(att.FileURL, ';', att.IsPrimary)) AS Images
+authDataPool.getListingById = async (listingId) => {
+  const listings = await runQuery(
+    `SELECT
+       l.*,
+       a.City, a.StreetName, a.Latitude, a.Longitude,
+       (SELECT AVG(r.Rating) FROM Review r
+         WHERE r.ListingID = l.ListingID AND r.ReviewType = 'Provider') AS AverageRating
+     FROM Listing l
+     JOIN Address a ON l.AddressID = a.AddressID
+     WHERE l.ListingID = ?`,
+    [listingId],
+    pool
+  );
+  if (listings.length === 0) return null;
+  const listing = listings[0];
+  // Primary image first, the rest in their SortOrder
+  const images = await getListingImages(listing.ListingID, pool);
+  listing.Images = await resolveMediaUrls(
+    images.sort((a, b) => b.IsPrimary - a.IsPrimary),
+    LISTING_IMAGE_FIELDS
+  );
+  return listing;
+};
+
+const LISTING_SORT_ORDER = {
+  newest: "l.CreationDate DESC",
+  price_asc: "l.PricePerUnit ASC, l.CreationDate DESC",
+  price_desc: "l.PricePerUnit DESC, l.CreationDate DESC",
+  rating: "AverageRating IS NULL, AverageRating DESC, l.CreationDate DESC",
+};
+
+// Builds the WHERE clause for searchListings from parsed search filters
+const buildListingFilters = (filters) => {
+  const conditions = ["l.Status = 'Active'"];
+  const values = [];
+
+  if (filters.q) {
+    const searchValue = `%${filters.q}%`;
+    conditions.push(
+      "(l.Title LIKE ? OR l.Description LIKE ? OR a.City LIKE ? OR a.StreetName LIKE ?)"
+    );
+    values.push(searchValue, searchValue, searchValue, searchValue);
+  }
+  if (filters.storageType) {
+    conditions.push("l.StorageType = ?");
+    values.push(filters.storageType);
+  }
+  if (filters.minPrice !== undefined) {
+    conditions.push("l.PricePerUnit >= ?");
+    values.push(filters.minPrice);
+  }
+  if (filters.maxPrice !== undefined) {
+    conditions.push("l.PricePerUnit <= ?");
+    values.push(filters.maxPrice);
+  }
+  if (filters.priceUnit) {
+    conditions.push("LOWER(l.PriceUnit) IN (?)");
+    values.push(getPriceUnitAliases(filters.priceUnit));
+  }
+  if (filters.minSlots !== undefined) {
+    conditions.push("l.TotalCapacity_Slots >= ?");
+    values.push(filters.minSlots);
+  }
+  if (filters.minSqm !== undefined) {
+    conditions.push("l.CapacitySQMeter >= ?");
+    values.push(filters.minSqm);
+  }
+  if (filters.from && filters.to) {
+    // Subtracts every overlapping booking from the capacity. This can hide a
+    // listing whose bookings don't overlap each other, but never shows one
+    // that is actually full.
+    conditions.push(`
+      (CASE WHEN l.StorageType = 'ItemSlot' THEN l.TotalCapacity_Slots ELSE l.CapacitySQMeter END)
+      - COALESCE((
+          SELECT SUM(
+            CASE WHEN l.StorageType = 'ItemSlot'
+              THEN (SELECT COALESCE(SUM(bi.Quantity * bi.SlotWeight), 0) FROM BookingItem bi WHERE bi.BookingID = b.BookingID)
+              ELSE COALESCE(b.RequestedCapacity_SQMeters, 0)
+            END)
+          FROM Booking b
+          WHERE b.ListingID = l.ListingID AND b.BookingStatus IN (?)
+            AND DATE(b.StartDate) <= ? AND DATE(b.EndDate) >= ?
+        ), 0)
+      >= (CASE WHEN l.StorageType = 'ItemSlot' THEN ? ELSE ? END)`);
+    values.push(
+      CAPACITY_HOLDING_STATUSES,
+      filters.to,
+      filters.from,
+      filters.minSlots || 1,
+      filters.minSqm || 1
+    );
+  }
+
+  return {
+    where: `WHERE ${conditions.join(" AND ")}`,
+    values,
+  };
+};
+
+// filters come from parseSearchQuery (services/listingSearch.js)
+authDataPool.searchListings = async (filters) => {
+  const { where, values } = buildListingFilters(filters);
+  const offset = (filters.page - 1) * filters.pageSize;
+
+  const countQuery = `
+      SELECT COUNT(*) AS Total
       FROM Listing l
       JOIN Address a ON l.AddressID = a.AddressID
-      LEFT JOIN Attachment att ON l.ListingID = att.ListingID
-      WHERE l.ListingID = ?
-      GROUP BY l.ListingID;
+      ${where};
     `;
-    conn.query(query, [listingId], (err, results) => {
-      if (err) return reject(err);
-      if (results.length > 0) {
-        // Process the images string into a structured array
-        const listing = results[0];
-        listing.Images = listing.Images
-          ? listing.Images.split(",")
-              .map((imgStr) => {
-                const [url, isPrimary] = imgStr.split(";");
-                return { FileURL: url, IsPrimary: parseInt(isPrimary) };
-              })
-              .sort((a, b) => b.IsPrimary - a.IsPrimary)
-          : []; // Sort primary image first
-        resolve(listing);
-      } else {
-        resolve(null);
-      }
-    });
-  });
-};
-
-authDataPool.getAllListings = () => {
-  return new Promise((resolve, reject) => {
-    const query = `
+  const listingsQuery = `
       SELECT 
         l.ListingID, l.Title, l.Description, l.PricePerUnit, l.PriceUnit, l.StorageType,
-        l.TotalCapacity_Slots, l.CapacitySQMeter,
-        a.City, a.StreetName,
-        att.FileURL AS PrimaryImage
+        l.TotalCapacity_Slots, l.CapacitySQMeter, l.CreationDate,
+        a.City, a.StreetName, a.Latitude, a.Longitude,
+        att.FileURL AS PrimaryImage, att.ThumbnailURL AS PrimaryThumbnail,
+        (SELECT AVG(r.Rating) FROM Review r
+          WHERE r.ListingID = l.ListingID AND r.ReviewType = 'Provider') AS AverageRating
       FROM Listing l
       JOIN Address a ON l.AddressID = a.AddressID
       LEFT JOIN Attachment att ON l.ListingID = att.ListingID AND att.IsPrimary = 1
-      ORDER BY l.CreationDate DESC;
+      ${where}
+      ORDER BY ${LISTING_SORT_ORDER[filters.sort]}
+      LIMIT ? OFFSET ?;
     `;
-    conn.query(query, (err, results) => {
-      if (err) return reject(err);
-      resolve(results);
-    });
-  });
+
+  const [countRows, listings] = await Promise.all([
+    runQuery(countQuery, values, pool),
+    runQuery(listingsQuery, [...values, filters.pageSize, offset], pool),
+  ]);
+  await resolveMediaUrls(listings, PRIMARY_IMAGE_FIELDS);
+  const total = countRows[0].Total;
+  return {
+    listings,
+    pagination: {
+      page: filters.page,
+      pageSize: filters.pageSize,
+      total,
+      totalPages: Math.ceil(total / filters.pageSize),
+    },
+  };
 };
 
-authDataPool.searchListings = (searchTerm) => {
-  return new Promise((resolve, reject) => {
-    const query = `
+const EARTH_RADIUS_KM = 6371;
+
+// Listings within radiusKm of a point, nearest first
+authDataPool.getNearbyListings = ({ latitude, longitude, radiusKm, limit }) => {
+  // Bounding box first so the index on coordinates can be used
+  const latDelta = radiusKm / 111.32;
+  const lngDelta =
+    radiusKm / (111.32 * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01));
+  const query = `
       SELECT 
         l.ListingID, l.Title, l.Description, l.PricePerUnit, l.PriceUnit, l.StorageType,
         l.TotalCapacity_Slots, l.CapacitySQMeter,
-        a.City, a.StreetName,
-        att.FileURL AS PrimaryImage
+        a.City, a.StreetName, a.Latitude, a.Longitude,
+        att.FileURL AS PrimaryImage, att.ThumbnailURL AS PrimaryThumbnail,
+        ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS(a.Latitude - ?) / 2), 2) +
+          COS(RADIANS(?)) * COS(RADIANS(a.Latitude)) *
+          POWER(SIN(RADIANS(a.Longitude - ?) / 2), 2)
+        )) AS DistanceKm
       FROM Listing l
       JOIN Address a ON l.AddressID = a.AddressID
       LEFT JOIN Attachment att ON l.ListingID = att.ListingID AND att.IsPrimary = 1
-      WHERE a.City LIKE ? OR a.StreetName LIKE ?
-      ORDER BY l.CreationDate DESC;
+      WHERE l.Status = 'Active'
+        AND a.Latitude BETWEEN ? AND ? AND a.Longitude BETWEEN ? AND ?
+      HAVING DistanceKm <= ?
+      ORDER BY DistanceKm ASC
+      LIMIT ?;
     `;
-    const searchValue = `%${searchTerm}%`;
-    conn.query(query, [searchValue, searchValue], (err, results) => {
-      if (err) return reject(err);
-      resolve(results);
-    });
-  });
+  return runQuery(
+    query,
+    [
+      latitude,
+      latitude,
+      longitude,
+      latitude - latDelta,
+      latitude + latDelta,
+      longitude - lngDelta,
+      longitude + lngDelta,
+      radiusKm,
+      limit,
+    ],
+    pool
+  ).then((listings) => resolveMediaUrls(listings, PRIMARY_IMAGE_FIELDS));
 };
 
 // ===============================================================
 //                    USER & LISTING CREATION
 // ===============================================================
 
-authDataPool.createUser = (userData) => {
-  return new Promise((resolve) => {
-    conn.beginTransaction(async (transactionErr) => {
-      if (transactionErr) {
-        return resolve({ success: false, message: "DB transaction error." });
-      }
-      try {
-        const {
-          username,
-          password,
-          email,
-          streetName,
-          city,
-          postalCode,
-          number,
-        } = userData;
-        const addressId = await getOrCreateAddress(
-          { streetName, city, postalCode, number },
-          conn
-        );
-        const passwordHash = await bcrypt.hash(password, 12);
-        const userQuery = `
-          INSERT INTO User (Username, PasswordHash, Email, Role, RegistrationDate, IsVerified, AddressLine1) 
-          VALUES (?, ?, ?, ?, NOW(), ?, ?)`;
-        const userValues = [
-          username,
-          passwordHash,
-          email,
-          "Seeker",
-          0,
-          addressId,
-        ];
-        conn.query(userQuery, userValues, (userErr, userResult) => {
-          if (userErr)
-            return conn.rollback(() =>
-              resolve({
-                success: false,
-                message: "DB error during user creation.",
-              })
-            );
-          conn.commit((commitErr) => {
-            if (commitErr)
+authDataPool.createUser = async (userData) => {
+  let address;
+  try {
+    address = await prepareAddress(userData);
+  } catch (error) {
+    console.error("Error preparing address:", error);
+    return { success: false, message: "Internal error during user creation." };
+  }
+  return withConnection(
+    (conn) =>
+      new Promise((resolve) => {
+        conn.beginTransaction(async (transactionErr) => {
+          if (transactionErr) {
+            return resolve({
+              success: false,
+              message: "DB transaction error.",
+            });
+          }
+          try {
+            const { username, password, email, role = "Seeker" } = userData;
+            // Admin accounts are never created through registration
+            if (!validateRole(role) || role === "Admin") {
               return conn.rollback(() =>
-                resolve({ success: false, message: "DB commit error." })
+                resolve({ success: false, message: "Invalid account role." })
               );
-            resolve({
-              success: true,
-              message: "User created successfully!",
-              data: { userId: userResult.insertId },
-            });
-          });
-        });
-      } catch (error) {
-        conn.rollback(() =>
-          resolve({
-            success: false,
-            message: "Internal error during user creation.",
-          })
-        );
-      }
-    });
-  });
-};
-
-authDataPool.createBooking = (bookingData) => {
-  return new Promise((resolve) => {
-    conn.beginTransaction(async (transactionErr) => {
-      if (transactionErr)
-        return resolve({ success: false, message: "DB transaction error." });
-      try {
-        const {
-          listingId,
-          seekerId,
-          startDate,
-          endDate,
-          totalCost,
-          storageType,
-          items,
-          requestedSqm,
-        } = bookingData;
-        const bookingQuery = `INSERT INTO Booking (ListingID, SeekerID, StartDate, EndDate, TotalCost, RequestDate, BookingStatus) VALUES (?, ?, ?, ?, ?, NOW(), 'Pending')`;
-        const bookingValues = [
-          listingId,
-          seekerId,
-          formatMySqlDateTime(startDate),
-          formatMySqlDateTime(endDate),
-          totalCost,
-        ];
-        conn.query(bookingQuery, bookingValues, (bookingErr, bookingResult) => {
-          if (bookingErr) {
-            console.error("DB error creating booking:", bookingErr);
-            return conn.rollback(() =>
-              resolve({
-                success: false,
-                message: "DB error on booking creation.",
-              })
+            }
+            const duplicateErrors = await findDuplicateUserFields(
+              { username, email },
+              conn
             );
-          }
-          const newBookingId = bookingResult.insertId;
-          if (storageType === "ItemSlot" && items.length > 0) {
-            const bookingItemsQuery = `INSERT INTO BookingItem (BookingID, CategoryID, Quantity) VALUES ?`;
-            const bookingItemsValues = items.map((item) => [
-              newBookingId,
-              item.categoryId,
-              item.quantity,
-            ]);
-            conn.query(bookingItemsQuery, [bookingItemsValues], (itemsErr) => {
-              if (itemsErr) {
-                console.error("DB error creating booking items:", itemsErr);
+            if (duplicateErrors) {
+              return conn.rollback(() =>
+                resolve(validationFailure(duplicateErrors))
+              );
+            }
+            const addressId = await getOrCreateAddress(address, conn);
+            const passwordHash = await bcrypt.hash(password, 12);
+            const userQuery = `
+          INSERT INTO User (Username, PasswordHash, Email, Role, RegistrationDate, IsVerified, AddressLine1) 
+          VALUES (?, ?, ?, ?, NOW(), ?, ?)`;
+            const userValues = [
+              username,
+              passwordHash,
+              email,
+              role,
+              0,
+              addressId,
+            ];
+            conn.query(userQuery, userValues, (userErr, userResult) => {
+              if (userErr && userErr.code === "ER_DUP_ENTRY")
+                // Another registration took the username or email meanwhile
+                return conn.rollback(() =>
+                  resolve(
+                    validationFailure(
+                      userErr.message.includes(email)
+                        ? {
+                            email: "An account with this email already exists.",
+                          }
+                        : { username: "This username is already taken." }
+                    )
+                  )
+                );
+              if (userErr)
                 return conn.rollback(() =>
                   resolve({
                     success: false,
-                    message: "DB error on booking item creation.",
+                    message: "DB error during user creation.",
                   })
                 );
-              }
               conn.commit((commitErr) => {
                 if (commitErr)
                   return conn.rollback(() =>
@@ -341,176 +696,282 @@ authDataPool.createBooking = (bookingData) => {
                   );
                 resolve({
                   success: true,
-                  message: "Booking created successfully!",
-                  data: { bookingId: newBookingId },
+                  message: "User created successfully!",
+                  data: { userId: userResult.insertId },
                 });
               });
             });
-          } else if (storageType === "SquareMeter") {
-            const updateBookingQuery = `UPDATE Booking SET RequestedCapacity_SQMeters = ? WHERE BookingID = ?`;
-            conn.query(
-              updateBookingQuery,
-              [requestedSqm, newBookingId],
-              (updateErr) => {
-                if (updateErr) {
-                  console.error(
-                    "DB error updating booking capacity:",
-                    updateErr
-                  ); // Added logging
-                  return conn.rollback(() =>
-                    resolve({
-                      success: false,
-                      message: "DB error updating booking capacity.",
-                    })
-                  );
-                }
-                conn.commit((commitErr) => {
-                  if (commitErr)
-                    return conn.rollback(() =>
-                      resolve({ success: false, message: "DB commit error." })
-                    );
-                  resolve({
-                    success: true,
-                    message: "Booking created successfully!",
-                    data: { bookingId: newBookingId },
-                  });
-                });
-              }
-            );
-          } else {
-            conn.commit((commitErr) => {
-              if (commitErr)
-                return conn.rollback(() =>
-                  resolve({ success: false, message: "DB commit error." })
-                );
+          } catch (error) {
+            conn.rollback(() =>
               resolve({
-                success: true,
-                message: "Booking created successfully!",
-                data: { bookingId: newBookingId },
-              });
-            });
+                success: false,
+                message: "Internal error during user creation.",
+              })
+            );
           }
         });
-      } catch (error) {
-        console.error("Transaction error in createBooking:", error);
-        conn.rollback(() =>
-          resolve({
-            success: false,
-            message: "Internal error during booking creation.",
-          })
-        );
-      }
-    });
-  });
+      })
+  ).catch(connectionFailure);
 };
 
-authDataPool.createListing = (listingData) => {
-  return new Promise((resolve) => {
-    conn.beginTransaction(async (transactionErr) => {
-      if (transactionErr) {
-        return resolve({ success: false, message: "DB transaction error." });
-      }
-      try {
-        const {
-          title,
-          description,
-          price,
-          priceUnit,
-          storageType,
-          capacity,
-          streetName,
-          city,
-          postalCode,
-          number,
-          providerId,
-          images,
-        } = listingData;
-        const addressId = await getOrCreateAddress(
-          { streetName, city, postalCode, number },
-          conn
-        );
-        const listingQuery = `
+authDataPool.createBooking = (bookingData) => {
+  const { listingId, seekerId, startDate, endDate, totalCost, requestedSqm } =
+    bookingData;
+  return withTransaction(async (dbConnection, afterCommit) => {
+    // Check remaining capacity while holding a lock on the listing
+    const listing = await getListingForUpdate(listingId, dbConnection);
+    if (!listing)
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Listing not found.",
+      };
+    if (listing.Status !== LISTING_STATUS.ACTIVE) return notBookableResult;
+    const request = await resolveBookingRequest(
+      listing,
+      bookingData,
+      dbConnection
+    );
+    if (!request.success) return request;
+    const start = parseDay(startDate);
+    const end = parseDay(endDate);
+    if (!start || !end || end < start)
+      return {
+        success: false,
+        reason: "invalid_input",
+        message: "Invalid booking dates.",
+      };
+    const requested = getRequestedAmount(request.data, listing.StorageType);
+    if (requested <= 0)
+      return {
+        success: false,
+        reason: "invalid_input",
+        message: "Requested capacity must be greater than zero.",
+      };
+    const overlapping = await getOverlappingBookings(
+      listingId,
+      toDayKey(start),
+      toDayKey(end),
+      dbConnection
+    );
+    const calendar = buildAvailabilityCalendar(
+      listing,
+      overlapping,
+      toDayKey(start),
+      toDayKey(end)
+    );
+    const remaining = getMinimumRemaining(
+      calendar,
+      getListingCapacity(listing)
+    );
+    if (requested > remaining)
+      return {
+        success: false,
+        reason: "conflict",
+        message: `Not enough capacity for the selected dates. Only ${remaining} ${getCapacityUnit(
+          listing.StorageType
+        )} available.`,
+      };
+
+    // The stored cost always comes from the server-side quote
+    const quote = quoteBooking(listing, request.data);
+    if (!quote.success) return { ...quote, reason: "invalid_input" };
+    if (
+      totalCost !== undefined &&
+      totalCost !== null &&
+      !matchesQuote(totalCost, quote.data)
+    )
+      return {
+        success: false,
+        reason: "conflict",
+        message: `Price mismatch. The current price for this booking is ${quote.data.totalCost}.`,
+        data: { quote: quote.data },
+      };
+
+    const bookingResult = await runQuery(
+      `INSERT INTO Booking (ListingID, SeekerID, StartDate, EndDate, TotalCost, RequestedCapacity_SQMeters, RequestDate, BookingStatus)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), 'Pending')`,
+      [
+        listingId,
+        seekerId,
+        formatMySqlDateTime(startDate),
+        formatMySqlDateTime(endDate),
+        quote.data.totalCost,
+        listing.StorageType === "SquareMeter" ? requestedSqm : null,
+      ],
+      dbConnection
+    );
+    const newBookingId = bookingResult.insertId;
+    const bookingItems = request.data.items || [];
+    if (listing.StorageType === "ItemSlot" && bookingItems.length > 0) {
+      await runQuery(
+        "INSERT INTO BookingItem (BookingID, CategoryID, Quantity, SlotWeight, Surcharge) VALUES ?",
+        [
+          bookingItems.map((item) => [
+            newBookingId,
+            item.categoryId,
+            item.quantity,
+            item.slotWeight,
+            item.surcharge,
+          ]),
+        ],
+        dbConnection
+      );
+    }
+    afterCommit(() => notifyBookingRequested(listing, newBookingId));
+    return {
+      success: true,
+      message: "Booking created successfully!",
+      data: { bookingId: newBookingId },
+    };
+  }, "Internal error during booking creation.");
+};
+
+authDataPool.createListing = async (listingData) => {
+  let address;
+  try {
+    address = await prepareAddress(listingData);
+  } catch (error) {
+    console.error("Error preparing address:", error);
+    return {
+      success: false,
+      message: "Internal error during listing creation.",
+    };
+  }
+  return withConnection(
+    (conn) =>
+      new Promise((resolve) => {
+        conn.beginTransaction(async (transactionErr) => {
+          if (transactionErr) {
+            return resolve({
+              success: false,
+              message: "DB transaction error.",
+            });
+          }
+          try {
+            const {
+              title,
+              description,
+              price,
+              priceUnit,
+              storageType,
+              capacity,
+              providerId,
+              images,
+              status,
+            } = listingData;
+            const addressId = await getOrCreateAddress(address, conn);
+            const listingQuery = `
           INSERT INTO Listing (ProviderID, Title, Description, StorageType, ${
             storageType === "ItemSlot"
               ? "TotalCapacity_Slots"
               : "CapacitySQMeter"
           }, PricePerUnit, PriceUnit, AddressID, CreationDate, Status)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), 'Active')`;
-        const listingValues = [
-          providerId,
-          title,
-          description,
-          storageType,
-          capacity,
-          parseFloat(price),
-          priceUnit,
-          addressId,
-        ];
-        conn.query(listingQuery, listingValues, (listingErr, listingResult) => {
-          if (listingErr)
-            return conn.rollback(() =>
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?)`;
+            const listingValues = [
+              providerId,
+              title,
+              description,
+              storageType,
+              capacity,
+              parseFloat(price),
+              priceUnit,
+              addressId,
+              status || LISTING_STATUS.ACTIVE,
+            ];
+            conn.query(
+              listingQuery,
+              listingValues,
+              (listingErr, listingResult) => {
+                if (listingErr)
+                  return conn.rollback(() =>
+                    resolve({
+                      success: false,
+                      message: "DB error on listing creation.",
+                    })
+                  );
+                const newListingId = listingResult.insertId;
+                const attachmentQuery = `INSERT INTO Attachment (ListingID, FileURL, ThumbnailURL, MediumURL, FileType, UploadTimestamp, IsPrimary, SortOrder) VALUES ?`;
+                const primaryIndex = Math.max(
+                  images.findIndex((img) => img.isPrimary),
+                  0
+                );
+                const attachmentValues = images.map((img, index) => [
+                  newListingId,
+                  img.path,
+                  img.thumbnailPath || null,
+                  img.mediumPath || null,
+                  "Image",
+                  new Date(),
+                  index === primaryIndex ? 1 : 0,
+                  index,
+                ]);
+                conn.query(
+                  attachmentQuery,
+                  [attachmentValues],
+                  (attachmentErr) => {
+                    if (attachmentErr)
+                      return conn.rollback(() =>
+                        resolve({
+                          success: false,
+                          message: "DB error on attachment creation.",
+                        })
+                      );
+                    conn.commit((commitErr) => {
+                      if (commitErr)
+                        return conn.rollback(() =>
+                          resolve({
+                            success: false,
+                            message: "DB commit error.",
+                          })
+                        );
+                      resolve({
+                        success: true,
+                        message: "Listing created successfully!",
+                        data: { listingId: newListingId },
+                      });
+                    });
+                  }
+                );
+              }
+            );
+          } catch (error) {
+            conn.rollback(() =>
               resolve({
                 success: false,
-                message: "DB error on listing creation.",
+                message: "Internal error during listing creation.",
               })
             );
-          const newListingId = listingResult.insertId;
-          const attachmentQuery = `INSERT INTO Attachment (ListingID, FileURL, FileType, UploadTimestamp, IsPrimary) VALUES ?`;
-          const attachmentValues = images.map((img) => [
-            newListingId,
-            img.path,
-            "Image",
-            new Date(),
-            img.isPrimary ? 1 : 0,
-          ]);
-          conn.query(attachmentQuery, [attachmentValues], (attachmentErr) => {
-            if (attachmentErr)
-              return conn.rollback(() =>
-                resolve({
-                  success: false,
-                  message: "DB error on attachment creation.",
-                })
-              );
-            conn.commit((commitErr) => {
-              if (commitErr)
-                return conn.rollback(() =>
-                  resolve({ success: false, message: "DB commit error." })
-                );
-              resolve({
-                success: true,
-                message: "Listing created successfully!",
-                data: { listingId: newListingId },
-              });
-            });
-          });
+          }
         });
-      } catch (error) {
-        conn.rollback(() =>
-          resolve({
-            success: false,
-            message: "Internal error during listing creation.",
-          })
-        );
-      }
-    });
-  });
+      })
+  ).catch(connectionFailure);
 };
 
 // ===============================================================
 //                    USER PROFILE UPDATES
 // ===============================================================
-authDataPool.updateProfilePicture = (userId, filePath) => {
-  return new Promise((resolve, reject) => {
-    const query = "UPDATE User SET ProfilePictureURL = ? WHERE UserID = ?";
-    conn.query(query, [filePath, userId], (err, result) => {
-      if (err) return reject(err);
-      resolve({
-        success: true,
-        message: "Profile picture updated.",
-        data: { filePath },
-      });
-    });
-  });
+// filePath is a storage key. Also returns the replaced key so the caller
+// can remove the old file.
+authDataPool.updateProfilePicture = async (userId, filePath) => {
+  const users = await runQuery(
+    "SELECT ProfilePictureURL FROM User WHERE UserID = ?",
+    [userId],
+    pool
+  );
+  await runQuery(
+    "UPDATE User SET ProfilePictureURL = ? WHERE UserID = ?",
+    [filePath, userId],
+    pool
+  );
+  return {
+    success: true,
+    message: "Profile picture updated.",
+    data: {
+      filePath: await storage.getUrl(filePath),
+      previousKey: users.length > 0 ? users[0].ProfilePictureURL : null,
+    },
+  };
 };
 
 authDataPool.updateUserDetails = async (userId, userDetails) => {
@@ -521,7 +982,11 @@ authDataPool.updateUserDetails = async (userId, userDetails) => {
     // First, verify the user's current password
     const users = await authDataPool.getUserById(userId);
     if (users.length === 0)
-      return { success: false, message: "User not found." };
+      return {
+        success: false,
+        reason: "not_found",
+        message: "User not found.",
+      };
 
     const user = users[0];
     const passwordMatch = await bcrypt.compare(
@@ -529,13 +994,20 @@ authDataPool.updateUserDetails = async (userId, userDetails) => {
       user.PasswordHash
     );
     if (!passwordMatch)
-      return { success: false, message: "Incorrect password." };
+      return validationFailure({ currentPassword: "Incorrect password." });
+
+    const duplicateErrors = await findDuplicateUserFields(
+      { email },
+      pool,
+      userId
+    );
+    if (duplicateErrors) return validationFailure(duplicateErrors);
 
     // If password is correct, proceed with the update
     return new Promise((resolve, reject) => {
       const query =
         "UPDATE User SET FirstName = ?, LastName = ?, Email = ?, PhoneNumber = ? WHERE UserID = ?";
-      conn.query(
+      pool.query(
         query,
         [firstName, lastName, email, phoneNumber, userId],
         (err, result) => {
@@ -553,33 +1025,244 @@ authDataPool.updateUserDetails = async (userId, userDetails) => {
   }
 };
 
-// ===============================================================
-//                    USER AUTHENTICATION & UPDATES
-// ===============================================================
+authDataPool.changePassword = async (userId, currentPassword, newPassword) => {
+  const users = await authDataPool.getUserById(userId);
+  if (users.length === 0)
+    return { success: false, reason: "not_found", message: "User not found." };
 
-authDataPool.authenticateUser = async (identifier, password) => {
-  try {
-    const isEmail = validator.isEmail(identifier);
-    const query = isEmail
-      ? "SELECT * FROM User WHERE Email = ?"
-      : "SELECT * FROM User WHERE Username = ?";
-    const users = await new Promise((resolve, reject) => {
-      conn.query(query, [identifier], (err, results) => {
-        if (err) return reject(err);
-        resolve(results);
-      });
+  const passwordMatch = await bcrypt.compare(
+    currentPassword,
+    users[0].PasswordHash
+  );
+  if (!passwordMatch)
+    return validationFailure({ currentPassword: "Incorrect password." });
+  if (currentPassword === newPassword)
+    return validationFailure({
+      newPassword: "Must be different from your current password.",
     });
-    if (users.length === 0)
-      return { success: false, message: "Invalid credentials." };
-    const user = users[0];
-    const passwordMatch = await bcrypt.compare(password, user.PasswordHash);
-    if (!passwordMatch)
-      return { success: false, message: "Invalid credentials." };
-    await authDataPool.updateLastLogin(user.UserID);
-    const { PasswordHash, ...userWithoutPassword } = user;
-    return {
-      success: true,
-      message: "Authentication successful",
+
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+  await runQuery(
+    "UPDATE User SET PasswordHash = ? WHERE UserID = ?",
+    [passwordHash, userId],
+    pool
+  );
+  return { success: true, message: "Password changed successfully." };
+};
+
+// Closes an account. Open bookings are cancelled (as seeker) or rejected
+// (as provider); Active bookings, or Accepted ones on the user's listings,
+// block the deletion. Personal data is anonymized and the user's listings
+// are deleted, so existing Booking/Listing/Review rows stay valid.
+authDataPool.deleteAccount = async (userId, currentPassword) => {
+  const users = await authDataPool.getUserById(userId);
+  if (users.length === 0)
+    return { success: false, reason: "not_found", message: "User not found." };
+  const passwordMatch = await bcrypt.compare(
+    currentPassword,
+    users[0].PasswordHash
+  );
+  if (!passwordMatch)
+    return validationFailure({ currentPassword: "Incorrect password." });
+
+  return withTransaction(async (dbConnection, afterCommit) => {
+    const seekerBookings = await runQuery(
+      `SELECT BookingID, BookingStatus FROM Booking
+       WHERE SeekerID = ? AND BookingStatus IN ('Pending', 'Accepted', 'Active')
+       FOR UPDATE`,
+      [userId],
+      dbConnection
+    );
+    const providerBookings = await runQuery(
+      `SELECT b.BookingID, b.BookingStatus FROM Booking b
+       JOIN Listing l ON b.ListingID = l.ListingID
+       WHERE l.ProviderID = ? AND b.BookingStatus IN ('Pending', 'Accepted', 'Active')
+       FOR UPDATE`,
+      [userId],
+      dbConnection
+    );
+    const blocking =
+      seekerBookings.some((b) => b.BookingStatus === "Active") ||
+      providerBookings.some((b) => b.BookingStatus !== "Pending");
+    if (blocking) {
+      return {
+        success: false,
+        reason: "conflict",
+        message:
+          "Your account has active or accepted bookings. Close them before deleting your account.",
+      };
+    }
+
+    for (const booking of seekerBookings) {
+      await applyBookingStatusChange(
+        booking.BookingID,
+        "Cancelled",
+        { userId, role: "Seeker" },
+        dbConnection,
+        afterCommit
+      );
+    }
+    for (const booking of providerBookings) {
+      await applyBookingStatusChange(
+        booking.BookingID,
+        "Rejected",
+        { userId, role: "Provider" },
+        dbConnection,
+        afterCommit
+      );
+    }
+
+    // Deleted is the provider's own status; listings an admin removed stay
+    // Removed so the moderation record is kept
+    await runQuery(
+      "UPDATE Listing SET Status = ? WHERE ProviderID = ? AND Status <> 'Removed'",
+      [LISTING_STATUS.DELETED, userId],
+      dbConnection
+    );
+    await runQuery(
+      "UPDATE UserToken SET UsedAt = NOW() WHERE UserID = ? AND UsedAt IS NULL",
+      [userId],
+      dbConnection
+    );
+    // "!" is never a valid bcrypt hash, so the account cannot log in again
+    await runQuery(
+      `UPDATE User SET
+         Username = ?, Email = ?, PasswordHash = '!', PhoneNumber = NULL,
+         FirstName = NULL, LastName = NULL, ProfilePictureURL = NULL,
+         AddressLine1 = NULL, IsVerified = 0, DeletedAt = NOW()
+       WHERE UserID = ?`,
+      [`deleted-user-${userId}`, `deleted-${userId}@deleted.invalid`, userId],
+      dbConnection
+    );
+    return {
+      success: true,
+      message: "Your account has been deleted.",
+      data: { profilePicture: users[0].ProfilePictureURL },
+    };
+  }, "Internal error deleting account.");
+};
+
+// Seekers become Providers once their account is verified
+authDataPool.becomeProvider = async (userId) => {
+  const users = await authDataPool.getUserById(userId);
+  if (users.length === 0)
+    return { success: false, reason: "not_found", message: "User not found." };
+  const user = users[0];
+  if (user.Role !== "Seeker") {
+    return {
+      success: false,
+      reason: "conflict",
+      message: `Your account already has the ${user.Role} role.`,
+    };
+  }
+  if (!user.IsVerified) {
+    return {
+      success: false,
+      reason: "forbidden",
+      message: "Your account must be verified before becoming a provider.",
+    };
+  }
+  await runQuery(
+    "UPDATE User SET Role = 'Provider' WHERE UserID = ?",
+    [userId],
+    pool
+  );
+  return { success: true, message: "Your account is now a Provider account." };
+};
+
+// ===============================================================
+//                    USER AUTHENTICATION & UPDATES
+// ===============================================================
+
+const lockedOutResult = (retryAfterSeconds) => ({
+  success: false,
+  reason: "locked",
+  message: `Too many failed login attempts. Try again in ${Math.ceil(
+    retryAfterSeconds / 60
+  )} minute(s).`,
+  retryAfter: retryAfterSeconds,
+});
+
+// Lockouts are kept per login identifier, whether or not an account uses
+// it, so unknown emails and usernames lock exactly like real ones
+const toLockoutKey = (identifier) => String(identifier).trim().toLowerCase();
+
+// Remaining lockout of an identifier in seconds (0 when not locked)
+const getLockSecondsLeft = async (identifier) => {
+  const rows = await runQuery(
+    "SELECT GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), LockedUntil), 0), 0) AS LockSecondsLeft FROM LoginLockout WHERE Identifier = ?",
+    [toLockoutKey(identifier)],
+    pool
+  );
+  return rows.length > 0 ? rows[0].LockSecondsLeft : 0;
+};
+
+// Counts a failed login and locks the identifier once the threshold is
+// reached. Resolves with the lockout length in seconds (0 when not locked).
+const recordFailedLogin = async (identifier) => {
+  const { threshold, minutes } = loginLockout;
+  // LockedUntil is assigned first because MySQL applies SET left to right
+  await runQuery(
+    `INSERT INTO LoginLockout (Identifier, FailedLoginCount, LockedUntil)
+     VALUES (?, IF(1 >= ?, 0, 1), IF(1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL))
+     ON DUPLICATE KEY UPDATE
+       LockedUntil = IF(FailedLoginCount + 1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), LockedUntil),
+       FailedLoginCount = IF(FailedLoginCount + 1 >= ?, 0, FailedLoginCount + 1)`,
+    [
+      toLockoutKey(identifier),
+      threshold,
+      threshold,
+      minutes,
+      threshold,
+      minutes,
+      threshold,
+    ],
+    pool
+  );
+  return getLockSecondsLeft(identifier);
+};
+
+// Forgets failed logins and lockouts, e.g. of a user's email and username
+const clearFailedLogins = (identifiers, dbConnection = pool) =>
+  runQuery(
+    "DELETE FROM LoginLockout WHERE Identifier IN (?)",
+    [identifiers.filter(Boolean).map(toLockoutKey)],
+    dbConnection
+  );
+
+authDataPool.authenticateUser = async (identifier, password) => {
+  try {
+    const lockSecondsLeft = await getLockSecondsLeft(identifier);
+    if (lockSecondsLeft > 0) return lockedOutResult(lockSecondsLeft);
+    const isEmail = validator.isEmail(identifier);
+    const query = isEmail
+      ? "SELECT * FROM User WHERE Email = ?"
+      : "SELECT * FROM User WHERE Username = ?";
+    const users = await new Promise((resolve, reject) => {
+      pool.query(query, [identifier], (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+    const user = users[0];
+    // Unknown identifiers count as failed logins too
+    const passwordMatch =
+      user !== undefined && (await bcrypt.compare(password, user.PasswordHash));
+    if (!passwordMatch) {
+      const lockSeconds = await recordFailedLogin(identifier);
+      return lockSeconds > 0
+        ? lockedOutResult(lockSeconds)
+        : { success: false, message: "Invalid credentials." };
+    }
+    if (user.IsSuspended)
+      return { success: false, message: "Your account has been suspended." };
+    await authDataPool.updateLastLogin(user.UserID);
+    await clearFailedLogins([identifier]);
+    const { PasswordHash, ...userWithoutPassword } = user;
+    await resolveMediaUrls(userWithoutPassword, ["ProfilePictureURL"]);
+    return {
+      success: true,
+      message: "Authentication successful",
       data: userWithoutPassword,
     };
   } catch (error) {
@@ -590,7 +1273,7 @@ authDataPool.authenticateUser = async (identifier, password) => {
 authDataPool.updateLastLogin = (userId) => {
   return new Promise((resolve, reject) => {
     const query = "UPDATE User SET LastLoginDate = NOW() WHERE UserID = ?";
-    conn.query(query, [userId], (err, result) => {
+    pool.query(query, [userId], (err, result) => {
       if (err) return reject(err);
       resolve(result);
     });
@@ -606,18 +1289,18 @@ authDataPool.getListingsByProvider = (providerId) => {
     const query = `
             SELECT 
                 l.ListingID, l.Title, l.Description, l.PricePerUnit, l.StorageType,
-                l.TotalCapacity_Slots, l.CapacitySQMeter,
+                l.TotalCapacity_Slots, l.CapacitySQMeter, l.Status,
                 a.City, a.StreetName,
-                att.FileURL AS PrimaryImage
+                att.FileURL AS PrimaryImage, att.ThumbnailURL AS PrimaryThumbnail
             FROM Listing l
             JOIN Address a ON l.AddressID = a.AddressID
             LEFT JOIN Attachment att ON l.ListingID = att.ListingID AND att.IsPrimary = 1
-            WHERE l.ProviderID = ?
+            WHERE l.ProviderID = ? AND l.Status <> 'Deleted'
             ORDER BY l.CreationDate DESC;
         `;
-    conn.query(query, [providerId], (err, results) => {
+    pool.query(query, [providerId], (err, results) => {
       if (err) return reject(err);
-      resolve(results);
+      resolve(resolveMediaUrls(results, PRIMARY_IMAGE_FIELDS));
     });
   });
 };
@@ -635,39 +1318,326 @@ authDataPool.getBookingRequestsByListing = (listingId, providerId) => {
             WHERE b.ListingID = ? AND l.ProviderID = ? AND b.BookingStatus = 'Pending'
             ORDER BY b.RequestDate DESC;
         `;
-    conn.query(query, [listingId, providerId], (err, results) => {
+    pool.query(query, [listingId, providerId], (err, results) => {
       if (err) return reject(err);
       resolve(results);
     });
   });
 };
 
-authDataPool.updateBookingStatus = (bookingId, status, providerId) => {
+const PROVIDER_BOOKING_SORT_ORDER = {
+  newest: "b.RequestDate DESC, b.BookingID DESC",
+  start_date: "b.StartDate ASC, b.BookingID ASC",
+};
+
+// Booked items of the given bookings, grouped by BookingID
+const getItemsByBooking = async (bookingIds, dbConnection) => {
+  if (bookingIds.length === 0) return {};
+  const items = await runQuery(
+    `SELECT bi.BookingID, bi.CategoryID, c.Name AS CategoryName,
+       bi.Quantity, bi.SlotWeight, bi.Surcharge
+     FROM BookingItem bi
+     LEFT JOIN Category c ON bi.CategoryID = c.CategoryID
+     WHERE bi.BookingID IN (?)
+     ORDER BY bi.BookingID, c.Name`,
+    [bookingIds],
+    dbConnection
+  );
+  return items.reduce((byBooking, { BookingID, ...item }) => {
+    (byBooking[BookingID] = byBooking[BookingID] || []).push(item);
+    return byBooking;
+  }, {});
+};
+
+// All bookings across the provider's listings (see parseProviderBookingQuery
+// for the filters). Seeker contact details are only included once the
+// booking has been accepted.
+authDataPool.getProviderBookings = async (providerId, filters) => {
+  const conditions = ["l.ProviderID = ?"];
+  const values = [providerId];
+  if (filters.statuses) {
+    conditions.push("b.BookingStatus IN (?)");
+    values.push(filters.statuses);
+  }
+  if (filters.listingId) {
+    conditions.push("b.ListingID = ?");
+    values.push(filters.listingId);
+  }
+  if (filters.from) {
+    conditions.push("DATE(b.EndDate) >= ?");
+    values.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("DATE(b.StartDate) <= ?");
+    values.push(filters.to);
+  }
+  const where = `WHERE ${conditions.join(" AND ")}`;
+  const offset = (filters.page - 1) * filters.pageSize;
+
+  const [countRows, rows] = await Promise.all([
+    runQuery(
+      `SELECT COUNT(*) AS Total
+       FROM Booking b JOIN Listing l ON b.ListingID = l.ListingID
+       ${where}`,
+      values,
+      pool
+    ),
+    runQuery(
+      `SELECT
+         b.BookingID, b.ListingID, l.Title AS ListingTitle, l.StorageType,
+         b.StartDate, b.EndDate, b.TotalCost, b.BookingStatus, b.RequestDate,
+         b.RequestedCapacity_SQMeters,
+         u.UserID AS SeekerID, u.Username AS SeekerName, u.AverageSeekerRating,
+         u.FirstName, u.LastName, u.Email, u.PhoneNumber
+       FROM Booking b
+       JOIN Listing l ON b.ListingID = l.ListingID
+       JOIN User u ON b.SeekerID = u.UserID
+       ${where}
+       ORDER BY ${PROVIDER_BOOKING_SORT_ORDER[filters.sort]}
+       LIMIT ? OFFSET ?`,
+      [...values, filters.pageSize, offset],
+      pool
+    ),
+  ]);
+  const itemsByBooking = await getItemsByBooking(
+    rows.map((row) => row.BookingID),
+    pool
+  );
+
+  const bookings = rows.map(
+    ({ FirstName, LastName, Email, PhoneNumber, ...booking }) => ({
+      ...booking,
+      Items: itemsByBooking[booking.BookingID] || [],
+      SeekerContact: CONTACT_VISIBLE_STATUSES.includes(booking.BookingStatus)
+        ? { FirstName, LastName, Email, PhoneNumber }
+        : null,
+    })
+  );
+  const total = countRows[0].Total;
+  return {
+    bookings,
+    pagination: {
+      page: filters.page,
+      pageSize: filters.pageSize,
+      total,
+      totalPages: Math.ceil(total / filters.pageSize),
+    },
+  };
+};
+
+// Status change inside an open transaction, see changeBookingStatus.
+// afterCommit is the one withTransaction passes in; it sends the notifications.
+const applyBookingStatusChange = async (
+  bookingId,
+  toStatus,
+  actor,
+  dbConnection,
+  afterCommit
+) => {
+  const bookings = await runQuery(
+    `SELECT b.BookingID, b.BookingStatus, b.SeekerID, l.ProviderID,
+       l.ListingID, l.Title AS ListingTitle
+     FROM Booking b
+     JOIN Listing l ON b.ListingID = l.ListingID
+     WHERE b.BookingID = ? FOR UPDATE`,
+    [bookingId],
+    dbConnection
+  );
+  const booking = bookings[0];
+  const isOwner =
+    booking &&
+    ((actor.role === "Provider" && booking.ProviderID === actor.userId) ||
+      (actor.role === "Seeker" && booking.SeekerID === actor.userId) ||
+      actor.role === "Admin" ||
+      actor.role === "System");
+  if (!isOwner) {
+    return {
+      success: false,
+      reason: "not_found",
+      message: "Booking not found or you do not have permission to update it.",
+    };
+  }
+
+  const fromStatus = booking.BookingStatus;
+  if (!canTransition(actor.role, fromStatus, toStatus)) {
+    return {
+      success: false,
+      reason: "invalid_transition",
+      message: getTransitionError(actor.role, fromStatus, toStatus),
+    };
+  }
+
+  await runQuery(
+    "UPDATE Booking SET BookingStatus = ? WHERE BookingID = ?",
+    [toStatus, bookingId],
+    dbConnection
+  );
+  await runQuery(
+    `INSERT INTO BookingStatusHistory
+       (BookingID, FromStatus, ToStatus, ChangedByUserID, ChangedByRole, ChangedAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [bookingId, fromStatus, toStatus, actor.userId || null, actor.role],
+    dbConnection
+  );
+  afterCommit(() =>
+    notifyBookingStatusChange(booking, fromStatus, toStatus, actor)
+  );
+  return {
+    success: true,
+    message: `Booking status updated to ${toStatus}.`,
+    data: { bookingId: booking.BookingID, fromStatus, toStatus },
+  };
+};
+
+// Moves a booking through its lifecycle. actor is { userId, role } where role
+// is "Provider", "Seeker", "Admin" or "System" (userId is null for "System").
+authDataPool.changeBookingStatus = (bookingId, toStatus, actor) => {
+  if (!isBookingStatus(toStatus)) {
+    return Promise.resolve({
+      success: false,
+      reason: "invalid_status",
+      message: `Unknown booking status: ${toStatus}.`,
+    });
+  }
+  return withTransaction(
+    (dbConnection, afterCommit) =>
+      applyBookingStatusChange(
+        bookingId,
+        toStatus,
+        actor,
+        dbConnection,
+        afterCommit
+      ),
+    "Internal error updating booking status."
+  );
+};
+
+authDataPool.updateBookingStatus = (bookingId, status, providerId) =>
+  authDataPool.changeBookingStatus(bookingId, status, {
+    userId: providerId,
+    role: "Provider",
+  });
+
+// Accepts or rejects several bookings. Each one is changed in its own
+// transaction, so one invalid booking doesn't block the others.
+authDataPool.bulkUpdateBookingStatus = async (
+  bookingIds,
+  status,
+  providerId
+) => {
+  const results = [];
+  for (const bookingId of bookingIds) {
+    const result = await authDataPool.updateBookingStatus(
+      bookingId,
+      status,
+      providerId
+    );
+    results.push({
+      bookingId,
+      success: result.success,
+      message: result.message,
+    });
+  }
+  const updated = results.filter((result) => result.success).length;
+  return {
+    success: true,
+    message: `${updated} of ${results.length} booking(s) updated.`,
+    data: { updated, failed: results.length - updated, results },
+  };
+};
+
+// Raw data for services/providerStats.js: the provider's listings and their
+// bookings that overlap [from, to] or were requested in it
+authDataPool.getProviderStatsData = async (providerId, filters) => {
+  const listingConditions = ["l.ProviderID = ?", "l.Status <> ?"];
+  const listingValues = [providerId, LISTING_STATUS.DELETED];
+  if (filters.listingId) {
+    listingConditions.push("l.ListingID = ?");
+    listingValues.push(filters.listingId);
+  }
+  const listings = await runQuery(
+    `SELECT l.ListingID, l.Title, l.Status, l.StorageType,
+       l.TotalCapacity_Slots, l.CapacitySQMeter
+     FROM Listing l
+     WHERE ${listingConditions.join(" AND ")}
+     ORDER BY l.ListingID`,
+    listingValues,
+    pool
+  );
+  if (listings.length === 0) return { listings, bookings: [] };
+
+  const bookings = await runQuery(
+    `SELECT
+       b.BookingID, b.ListingID, b.BookingStatus, b.StartDate, b.EndDate,
+       b.RequestDate, b.TotalCost, b.RequestedCapacity_SQMeters,
+       COALESCE(SUM(bi.Quantity * bi.SlotWeight), 0) AS SlotQuantity
+     FROM Booking b
+     LEFT JOIN BookingItem bi ON b.BookingID = bi.BookingID
+     WHERE b.ListingID IN (?)
+       AND ((DATE(b.StartDate) <= ? AND DATE(b.EndDate) >= ?)
+         OR DATE(b.RequestDate) BETWEEN ? AND ?)
+     GROUP BY b.BookingID`,
+    [
+      listings.map((listing) => listing.ListingID),
+      filters.to,
+      filters.from,
+      filters.from,
+      filters.to,
+    ],
+    pool
+  );
+  return { listings, bookings };
+};
+
+authDataPool.cancelBookingBySeeker = (bookingId, seekerId) =>
+  authDataPool.changeBookingStatus(bookingId, "Cancelled", {
+    userId: seekerId,
+    role: "Seeker",
+  });
+
+authDataPool.getBookingStatusHistory = (bookingId, userId) => {
   return new Promise((resolve, reject) => {
-    // This query ensures the user updating is the owner of the listing associated with the booking
+    // Only the seeker and the listing's provider may see the history
     const query = `
-            UPDATE Booking b
+            SELECT
+                h.HistoryID, h.FromStatus, h.ToStatus, h.ChangedByRole, h.ChangedAt,
+                u.Username AS ChangedBy
+            FROM BookingStatusHistory h
+            JOIN Booking b ON h.BookingID = b.BookingID
             JOIN Listing l ON b.ListingID = l.ListingID
-            SET b.BookingStatus = ?
-            WHERE b.BookingID = ? AND l.ProviderID = ?;
+            LEFT JOIN User u ON h.ChangedByUserID = u.UserID
+            WHERE h.BookingID = ? AND (b.SeekerID = ? OR l.ProviderID = ?)
+            ORDER BY h.ChangedAt ASC, h.HistoryID ASC;
         `;
-    conn.query(query, [status, bookingId, providerId], (err, result) => {
+    pool.query(query, [bookingId, userId, userId], (err, results) => {
       if (err) return reject(err);
-      if (result.affectedRows === 0) {
-        return resolve({
-          success: false,
-          message:
-            "Booking not found or you do not have permission to update it.",
-        });
-      }
-      resolve({
-        success: true,
-        message: `Booking status updated to ${status}.`,
-      });
+      resolve(results);
     });
   });
 };
 
+// Bookings the scheduler may need to expire, activate or complete
+authDataPool.getBookingsDueForTransition = (now, pendingCutoff) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+            SELECT BookingID, BookingStatus, StartDate, EndDate, RequestDate
+            FROM Booking
+            WHERE (BookingStatus = 'Pending' AND (RequestDate <= ? OR StartDate <= ?))
+               OR (BookingStatus = 'Accepted' AND StartDate <= ?)
+               OR (BookingStatus = 'Active' AND DATE(EndDate) < ?);
+        `;
+    const nowValue = formatMySqlDateTime(now);
+    pool.query(
+      query,
+      [formatMySqlDateTime(pendingCutoff), nowValue, nowValue, toDayKey(now)],
+      (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      }
+    );
+  });
+};
+
 authDataPool.getBookingsBySeeker = (seekerId) => {
   return new Promise((resolve, reject) => {
     const query = `
@@ -676,7 +1646,7 @@ authDataPool.getBookingsBySeeker = (seekerId) => {
                 l.ListingID, l.Title, l.PricePerUnit, l.PriceUnit, l.StorageType, 
                 l.TotalCapacity_Slots, l.CapacitySQMeter,
                 a.City, a.StreetName,
-                att.FileURL AS PrimaryImage
+                att.FileURL AS PrimaryImage, att.ThumbnailURL AS PrimaryThumbnail
             FROM Booking b
             JOIN Listing l ON b.ListingID = l.ListingID
             JOIN Address a ON l.AddressID = a.AddressID
@@ -684,44 +1654,1822 @@ authDataPool.getBookingsBySeeker = (seekerId) => {
             WHERE b.SeekerID = ?
             ORDER BY b.RequestDate DESC;
         `;
-    conn.query(query, [seekerId], (err, results) => {
+    pool.query(query, [seekerId], (err, results) => {
       if (err) return reject(err);
-      resolve(results);
+      resolve(resolveMediaUrls(results, PRIMARY_IMAGE_FIELDS));
     });
   });
 };
 
-authDataPool.updateListingDetails = (listingId, details, providerId) => {
-  return new Promise((resolve, reject) => {
+// Updates the details, and optionally the storage type, capacity and
+// address of an owned listing. The storage type can't change while bookings
+// hold capacity, and capacity can't drop below what accepted bookings use.
+authDataPool.updateListingDetails = async (listingId, details, providerId) => {
+  // Geocoding happens before the listing row gets locked
+  const address = details.streetName ? await prepareAddress(details) : null;
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+
     const { title, description, price, priceUnit } = details;
-    // This query ensures that only the owner of the listing can update it
+    const storageType = details.storageType || listing.StorageType;
+    const capacity =
+      details.capacity !== undefined
+        ? parseFloat(details.capacity)
+        : getListingCapacity(listing);
+    if (storageType === "ItemSlot" && !Number.isInteger(capacity)) {
+      return validationFailure({
+        capacity: "Slot capacity must be a whole number.",
+      });
+    }
+
+    const today = toDayKey(new Date());
+    if (storageType !== listing.StorageType) {
+      const upcoming = await getOverlappingBookings(
+        listingId,
+        today,
+        LAST_BOOKABLE_DAY,
+        dbConnection
+      );
+      if (upcoming.length > 0) {
+        return {
+          success: false,
+          reason: "conflict",
+          message:
+            "The storage type can't change while the listing has pending, accepted or active bookings.",
+        };
+      }
+    } else if (capacity < getListingCapacity(listing)) {
+      const accepted = await getOverlappingBookings(
+        listingId,
+        today,
+        LAST_BOOKABLE_DAY,
+        dbConnection,
+        ["Accepted", "Active"]
+      );
+      const peak = getPeakUsage(accepted, storageType);
+      if (capacity < peak) {
+        const unit = getCapacityUnit(storageType);
+        return validationFailure({
+          capacity: `Accepted bookings already use ${peak} ${unit} on their busiest day.`,
+        });
+      }
+    }
+
+    const addressId = address
+      ? await getOrCreateAddress(address, dbConnection)
+      : null;
+    await runQuery(
+      `UPDATE Listing
+       SET Title = ?, Description = ?, PricePerUnit = ?, PriceUnit = ?,
+         StorageType = ?, TotalCapacity_Slots = ?, CapacitySQMeter = ?,
+         AddressID = COALESCE(?, AddressID)
+       WHERE ListingID = ?`,
+      [
+        title,
+        description,
+        parseFloat(price),
+        priceUnit,
+        storageType,
+        storageType === "ItemSlot" ? capacity : null,
+        storageType === "ItemSlot" ? null : capacity,
+        addressId,
+        listingId,
+      ],
+      dbConnection
+    );
+    return { success: true, message: "Listing updated successfully." };
+  }, "Internal error while updating listing.");
+};
+
+// ===============================================================
+//                    LISTING IMAGE OPERATIONS
+// ===============================================================
+
+const MAX_LISTING_IMAGES = 10;
+
+// Locks the listing and checks that providerId owns it
+const getOwnedListingForUpdate = async (
+  listingId,
+  providerId,
+  dbConnection
+) => {
+  const listing = await getListingForUpdate(listingId, dbConnection);
+  return listing &&
+    listing.ProviderID === providerId &&
+    listing.Status !== LISTING_STATUS.DELETED
+    ? listing
+    : null;
+};
+
+const listingNotFound = {
+  success: false,
+  reason: "not_found",
+  message: "Listing not found or you do not have permission to edit it.",
+};
+
+const getListingImages = (listingId, dbConnection) =>
+  runQuery(
+    `SELECT AttachmentID, FileURL, ThumbnailURL, MediumURL, IsPrimary, SortOrder
+     FROM Attachment WHERE ListingID = ?
+     ORDER BY SortOrder, AttachmentID`,
+    [listingId],
+    dbConnection
+  );
+
+// images: [{ path, thumbnailPath, mediumPath }], appended after the existing ones
+authDataPool.addListingImages = (listingId, providerId, images) => {
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+
+    const existing = await getListingImages(listingId, dbConnection);
+    if (existing.length + images.length > MAX_LISTING_IMAGES) {
+      return {
+        success: false,
+        reason: "conflict",
+        message: `A listing can have at most ${MAX_LISTING_IMAGES} images.`,
+      };
+    }
+    const nextSortOrder =
+      existing.reduce((max, img) => Math.max(max, img.SortOrder), -1) + 1;
+    const hasPrimary = existing.some((img) => img.IsPrimary);
+    await runQuery(
+      `INSERT INTO Attachment (ListingID, FileURL, ThumbnailURL, MediumURL, FileType, UploadTimestamp, IsPrimary, SortOrder) VALUES ?`,
+      [
+        images.map((img, index) => [
+          listingId,
+          img.path,
+          img.thumbnailPath || null,
+          img.mediumPath || null,
+          "Image",
+          new Date(),
+          !hasPrimary && index === 0 ? 1 : 0,
+          nextSortOrder + index,
+        ]),
+      ],
+      dbConnection
+    );
+    return {
+      success: true,
+      message: "Images added.",
+      data: {
+        images: await resolveMediaUrls(
+          await getListingImages(listingId, dbConnection),
+          LISTING_IMAGE_FIELDS
+        ),
+      },
+    };
+  }, "Internal error while adding images.");
+};
+
+// Deletes the row; data.removedKeys lists the stored files the caller should remove
+authDataPool.deleteListingImage = (listingId, attachmentId, providerId) => {
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+
+    const images = await getListingImages(listingId, dbConnection);
+    const image = images.find((img) => img.AttachmentID === attachmentId);
+    if (!image) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Image not found.",
+      };
+    }
+    if (images.length === 1) {
+      return {
+        success: false,
+        reason: "conflict",
+        message: "A listing must keep at least one image.",
+      };
+    }
+
+    await runQuery(
+      "DELETE FROM Attachment WHERE AttachmentID = ?",
+      [attachmentId],
+      dbConnection
+    );
+    // The first remaining image takes over as primary
+    if (image.IsPrimary) {
+      const nextPrimary = images.find((img) => img !== image);
+      await runQuery(
+        "UPDATE Attachment SET IsPrimary = 1 WHERE AttachmentID = ?",
+        [nextPrimary.AttachmentID],
+        dbConnection
+      );
+    }
+    return {
+      success: true,
+      message: "Image removed.",
+      data: {
+        removedKeys: [
+          image.FileURL,
+          image.ThumbnailURL,
+          image.MediumURL,
+        ].filter(Boolean),
+      },
+    };
+  }, "Internal error while removing image.");
+};
+
+// attachmentIds must list every image of the listing in the new order.
+// primaryAttachmentId is optional and keeps the current primary when omitted.
+authDataPool.reorderListingImages = (
+  listingId,
+  providerId,
+  attachmentIds,
+  primaryAttachmentId
+) => {
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+
+    const images = await getListingImages(listingId, dbConnection);
+    const currentIds = images.map((img) => img.AttachmentID);
+    const isPermutation =
+      attachmentIds.length === currentIds.length &&
+      new Set(attachmentIds).size === attachmentIds.length &&
+      attachmentIds.every((id) => currentIds.includes(id));
+    if (!isPermutation) {
+      return validationFailure({
+        attachmentIds: "Must list every image of the listing exactly once.",
+      });
+    }
+    const primaryId =
+      primaryAttachmentId ||
+      (images.find((img) => img.IsPrimary) || images[0]).AttachmentID;
+    if (!currentIds.includes(primaryId)) {
+      return validationFailure({
+        primaryAttachmentId: "Must be one of the listing's images.",
+      });
+    }
+
+    for (const [index, id] of attachmentIds.entries()) {
+      await runQuery(
+        "UPDATE Attachment SET SortOrder = ?, IsPrimary = ? WHERE AttachmentID = ?",
+        [index, id === primaryId ? 1 : 0, id],
+        dbConnection
+      );
+    }
+    return {
+      success: true,
+      message: "Image order updated.",
+      data: {
+        images: await resolveMediaUrls(
+          await getListingImages(listingId, dbConnection),
+          LISTING_IMAGE_FIELDS
+        ),
+      },
+    };
+  }, "Internal error while reordering images.");
+};
+
+// ===============================================================
+//                    LISTING STATUS OPERATIONS
+// ===============================================================
+
+// Provider status changes (publish, pause, archive, delete). Deleting is
+// refused while bookings still hold capacity; the row is kept either way
+// because past bookings and reviews reference it.
+authDataPool.changeListingStatus = (listingId, providerId, toStatus) => {
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+
+    const fromStatus = listing.Status;
+    if (!canProviderTransition(fromStatus, toStatus)) {
+      return {
+        success: false,
+        reason: "invalid_transition",
+        message: getListingTransitionError(fromStatus, toStatus),
+      };
+    }
+    if (toStatus === LISTING_STATUS.DELETED) {
+      const openBookings = await runQuery(
+        "SELECT COUNT(*) AS Total FROM Booking WHERE ListingID = ? AND BookingStatus IN (?)",
+        [listingId, CAPACITY_HOLDING_STATUSES],
+        dbConnection
+      );
+      if (openBookings[0].Total > 0) {
+        return {
+          success: false,
+          reason: "conflict",
+          message:
+            "This listing still has pending, accepted or active bookings.",
+        };
+      }
+    }
+
+    await runQuery(
+      "UPDATE Listing SET Status = ? WHERE ListingID = ?",
+      [toStatus, listingId],
+      dbConnection
+    );
+    return {
+      success: true,
+      message:
+        toStatus === LISTING_STATUS.DELETED
+          ? "Listing deleted."
+          : `Listing status set to ${toStatus}.`,
+      data: { listingId: listing.ListingID, fromStatus, toStatus },
+    };
+  }, "Internal error updating listing status.");
+};
+
+// ===============================================================
+//                    AVAILABILITY OPERATIONS
+// ===============================================================
+
+// Resolves with null unless viewerId may see the listing, see
+// isListingVisibleTo
+authDataPool.getListingAvailability = async (
+  listingId,
+  fromDay,
+  toDay,
+  viewerId
+) => {
+  const listing = await new Promise((resolve, reject) => {
+    const query =
+      "SELECT ListingID, ProviderID, Status, StorageType, TotalCapacity_Slots, CapacitySQMeter FROM Listing WHERE ListingID = ?";
+    pool.query(query, [listingId], (err, results) => {
+      if (err) return reject(err);
+      resolve(results[0] || null);
+    });
+  });
+  if (!listing || !isListingVisibleTo(listing, viewerId)) return null;
+
+  const bookings = await getOverlappingBookings(
+    listingId,
+    fromDay,
+    toDay,
+    pool
+  );
+  return {
+    listingId: listing.ListingID,
+    storageType: listing.StorageType,
+    capacity: getListingCapacity(listing),
+    unit: getCapacityUnit(listing.StorageType),
+    days: buildAvailabilityCalendar(listing, bookings, fromDay, toDay),
+  };
+};
+
+// ===============================================================
+//                      PRICING OPERATIONS
+// ===============================================================
+
+authDataPool.getBookingQuote = async (listingId, bookingData) => {
+  const listings = await runQuery(
+    "SELECT ListingID, Status, StorageType, PricePerUnit, PriceUnit FROM Listing WHERE ListingID = ?",
+    [listingId],
+    pool
+  );
+  if (listings.length === 0) return null;
+  const listing = listings[0];
+  if (listing.Status !== LISTING_STATUS.ACTIVE) return notBookableResult;
+  const request = await resolveBookingRequest(listing, bookingData, pool);
+  if (!request.success) return request;
+  return quoteBooking(listing, request.data);
+};
+
+// ===============================================================
+//                      REVIEW OPERATIONS
+// ===============================================================
+
+// Recomputes AverageProviderRating or AverageSeekerRating from the Review table
+const recalculateUserRating = (userId, reviewType, dbConnection) => {
+  const column =
+    reviewType === "Provider" ? "AverageProviderRating" : "AverageSeekerRating";
+  return runQuery(
+    `UPDATE User SET ${column} = (
+       SELECT AVG(Rating) FROM Review WHERE RevieweeID = ? AND ReviewType = ?
+     ) WHERE UserID = ?`,
+    [userId, reviewType, userId],
+    dbConnection
+  );
+};
+
+authDataPool.createReview = (bookingId, reviewerId, reviewData) => {
+  const rating = parseInt(reviewData.rating);
+  if (!(rating >= 1 && rating <= 5)) {
+    return Promise.resolve({
+      success: false,
+      reason: "invalid_input",
+      message: "Rating must be a whole number from 1 to 5.",
+    });
+  }
+  return withTransaction(async (dbConnection, afterCommit) => {
+    const bookings = await runQuery(
+      `SELECT b.BookingID, b.BookingStatus, b.SeekerID, l.ListingID, l.ProviderID
+       FROM Booking b
+       JOIN Listing l ON b.ListingID = l.ListingID
+       WHERE b.BookingID = ? FOR UPDATE`,
+      [bookingId],
+      dbConnection
+    );
+    const booking = bookings[0];
+    // Seekers review the provider, providers review the seeker
+    let reviewType = null;
+    let revieweeId = null;
+    if (booking && booking.SeekerID === reviewerId) {
+      reviewType = "Provider";
+      revieweeId = booking.ProviderID;
+    } else if (booking && booking.ProviderID === reviewerId) {
+      reviewType = "Seeker";
+      revieweeId = booking.SeekerID;
+    }
+    if (!reviewType) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Booking not found or you were not part of it.",
+      };
+    }
+    if (booking.BookingStatus !== "Completed") {
+      return {
+        success: false,
+        reason: "conflict",
+        message: "Only completed bookings can be reviewed.",
+      };
+    }
+
+    const existing = await runQuery(
+      "SELECT ReviewID FROM Review WHERE BookingID = ? AND ReviewType = ?",
+      [bookingId, reviewType],
+      dbConnection
+    );
+    if (existing.length > 0) {
+      return {
+        success: false,
+        reason: "conflict",
+        message: "You have already reviewed this booking.",
+      };
+    }
+
+    const result = await runQuery(
+      `INSERT INTO Review
+         (BookingID, ListingID, ReviewerID, RevieweeID, ReviewType, Rating, Comment, CreatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        bookingId,
+        booking.ListingID,
+        reviewerId,
+        revieweeId,
+        reviewType,
+        rating,
+        reviewData.comment || null,
+      ],
+      dbConnection
+    );
+    await recalculateUserRating(revieweeId, reviewType, dbConnection);
+    afterCommit(() =>
+      notifyUser(revieweeId, NOTIFICATION_TYPES.REVIEW_RECEIVED, {
+        reviewId: result.insertId,
+        bookingId: booking.BookingID,
+        listingId: booking.ListingID,
+        rating,
+      })
+    );
+    return {
+      success: true,
+      message: "Review submitted successfully.",
+      data: { reviewId: result.insertId },
+    };
+  }, "Internal error while submitting review.");
+};
+
+// Removes a review written by reviewerId
+authDataPool.deleteReview = (reviewId, reviewerId) => {
+  return withTransaction(async (dbConnection) => {
+    const reviews = await runQuery(
+      "SELECT ReviewID, RevieweeID, ReviewType FROM Review WHERE ReviewID = ? AND ReviewerID = ? FOR UPDATE",
+      [reviewId, reviewerId],
+      dbConnection
+    );
+    if (reviews.length === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Review not found or you do not have permission to remove it.",
+      };
+    }
+    const review = reviews[0];
+    await runQuery(
+      "DELETE FROM Review WHERE ReviewID = ?",
+      [reviewId],
+      dbConnection
+    );
+    await recalculateUserRating(
+      review.RevieweeID,
+      review.ReviewType,
+      dbConnection
+    );
+    return { success: true, message: "Review removed." };
+  }, "Internal error while removing review.");
+};
+
+authDataPool.getReviewsByListing = (listingId) => {
+  return new Promise((resolve, reject) => {
     const query = `
-            UPDATE Listing 
-            SET Title = ?, Description = ?, PricePerUnit = ?, PriceUnit = ?
-            WHERE ListingID = ? AND ProviderID = ?;
-        `;
-    conn.query(
-      query,
-      [title, description, parseFloat(price), priceUnit, listingId, providerId],
-      (err, result) => {
-        if (err) return reject(err);
-        if (result.affectedRows === 0) {
-          return resolve({
-            success: false,
-            message:
-              "Listing not found or you do not have permission to edit it.",
-          });
-        }
-        resolve({ success: true, message: "Listing updated successfully." });
+      SELECT
+        r.ReviewID, r.Rating, r.Comment, r.CreatedAt,
+        u.UserID AS ReviewerID, u.Username AS ReviewerName, u.ProfilePictureURL AS ReviewerPicture
+      FROM Review r
+      JOIN User u ON r.ReviewerID = u.UserID
+      WHERE r.ListingID = ? AND r.ReviewType = 'Provider'
+      ORDER BY r.CreatedAt DESC;
+    `;
+    pool.query(query, [listingId], (err, results) => {
+      if (err) return reject(err);
+      resolve(resolveMediaUrls(results, ["ReviewerPicture"]));
+    });
+  });
+};
+
+authDataPool.getReviewsForUser = (userId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        r.ReviewID, r.ReviewType, r.Rating, r.Comment, r.CreatedAt, r.ListingID,
+        l.Title AS ListingTitle,
+        u.UserID AS ReviewerID, u.Username AS ReviewerName, u.ProfilePictureURL AS ReviewerPicture
+      FROM Review r
+      JOIN User u ON r.ReviewerID = u.UserID
+      JOIN Listing l ON r.ListingID = l.ListingID
+      WHERE r.RevieweeID = ?
+      ORDER BY r.CreatedAt DESC;
+    `;
+    pool.query(query, [userId], (err, results) => {
+      if (err) return reject(err);
+      resolve(resolveMediaUrls(results, ["ReviewerPicture"]));
+    });
+  });
+};
+
+// Public profile: no names, contact details or address. The first name is
+// only shared with the other side of an accepted booking.
+authDataPool.getPublicUserProfile = (userId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        UserID, Username, Role, ProfilePictureURL, RegistrationDate,
+        IsVerified, AverageProviderRating, AverageSeekerRating
+      FROM User
+      WHERE UserID = ?
+    `;
+    pool.query(query, [userId], (err, results) => {
+      if (err) return reject(err);
+      resolve(resolveMediaUrls(results[0] || null, ["ProfilePictureURL"]));
+    });
+  });
+};
+
+// ===============================================================
+//              EMAIL VERIFICATION & PASSWORD RESET
+// ===============================================================
+
+// Issues a new single-use token and invalidates older unused ones of the
+// same purpose. Returns the raw token; only its hash is stored.
+authDataPool.createUserToken = (userId, purpose, ttlMinutes) => {
+  return withTransaction(async (dbConnection) => {
+    const token = generateToken();
+    await runQuery(
+      "UPDATE UserToken SET UsedAt = NOW() WHERE UserID = ? AND Purpose = ? AND UsedAt IS NULL",
+      [userId, purpose],
+      dbConnection
+    );
+    await runQuery(
+      `INSERT INTO UserToken (UserID, Purpose, TokenHash, ExpiresAt, CreatedAt)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+      [userId, purpose, hashToken(token), ttlMinutes],
+      dbConnection
+    );
+    return { success: true, data: { token } };
+  }, "Internal error creating token.");
+};
+
+// Marks a valid token as used and returns its UserID, or null
+const consumeUserToken = async (token, purpose, dbConnection) => {
+  const tokens = await runQuery(
+    `SELECT TokenID, UserID FROM UserToken
+     WHERE TokenHash = ? AND Purpose = ? AND UsedAt IS NULL AND ExpiresAt > NOW()
+     FOR UPDATE`,
+    [hashToken(token), purpose],
+    dbConnection
+  );
+  if (tokens.length === 0) return null;
+  await runQuery(
+    "UPDATE UserToken SET UsedAt = NOW() WHERE TokenID = ?",
+    [tokens[0].TokenID],
+    dbConnection
+  );
+  return tokens[0].UserID;
+};
+
+const INVALID_TOKEN_RESULT = {
+  success: false,
+  reason: "invalid_input",
+  message: "This link is invalid or has expired.",
+};
+
+authDataPool.verifyEmail = (token) => {
+  return withTransaction(async (dbConnection) => {
+    const userId = await consumeUserToken(
+      token,
+      "EmailVerification",
+      dbConnection
+    );
+    if (!userId) return INVALID_TOKEN_RESULT;
+    await runQuery(
+      "UPDATE User SET IsVerified = 1 WHERE UserID = ?",
+      [userId],
+      dbConnection
+    );
+    return { success: true, message: "Email verified successfully." };
+  }, "Internal error verifying email.");
+};
+
+authDataPool.resetPassword = async (token, newPassword) => {
+  if (!validatePassword(newPassword || "")) {
+    return validationFailure({
+      newPassword:
+        "Must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number.",
+    });
+  }
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+  return withTransaction(async (dbConnection) => {
+    const userId = await consumeUserToken(token, "PasswordReset", dbConnection);
+    if (!userId) return INVALID_TOKEN_RESULT;
+    // The reset also lifts a login lockout and ends every token login;
+    // the caller destroys the user's sessions (see data.userId)
+    await runQuery(
+      "UPDATE User SET PasswordHash = ? WHERE UserID = ?",
+      [passwordHash, userId],
+      dbConnection
+    );
+    const users = await runQuery(
+      "SELECT Username, Email FROM User WHERE UserID = ?",
+      [userId],
+      dbConnection
+    );
+    await clearFailedLogins([users[0].Username, users[0].Email], dbConnection);
+    await runQuery(
+      "UPDATE RefreshToken SET RevokedAt = NOW() WHERE UserID = ? AND RevokedAt IS NULL",
+      [userId],
+      dbConnection
+    );
+    return {
+      success: true,
+      message: "Password has been reset.",
+      data: { userId },
+    };
+  }, "Internal error resetting password.");
+};
+
+// ===============================================================
+//                   REFRESH TOKEN OPERATIONS
+// ===============================================================
+
+const insertRefreshToken = async (userId, familyId, ttlDays, dbConnection) => {
+  const refreshToken = generateToken();
+  await runQuery(
+    `INSERT INTO RefreshToken (UserID, FamilyID, TokenHash, ExpiresAt, CreatedAt)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+    [userId, familyId, hashToken(refreshToken), ttlDays],
+    dbConnection
+  );
+  return refreshToken;
+};
+
+// Starts a new token family, e.g. after a password login
+authDataPool.issueRefreshToken = (userId, ttlDays) =>
+  insertRefreshToken(userId, generateToken(16), ttlDays, pool);
+
+const INVALID_REFRESH_TOKEN_RESULT = {
+  success: false,
+  reason: "invalid_input",
+  message: "Invalid or expired refresh token.",
+};
+
+// Exchanges a refresh token for a new one in the same family
+authDataPool.rotateRefreshToken = async (refreshToken, ttlDays) => {
+  const tokenHash = hashToken(refreshToken);
+  const tokens = await runQuery(
+    "SELECT FamilyID, UsedAt, RevokedAt FROM RefreshToken WHERE TokenHash = ?",
+    [tokenHash],
+    pool
+  );
+  if (tokens.length === 0) return INVALID_REFRESH_TOKEN_RESULT;
+  if (tokens[0].UsedAt || tokens[0].RevokedAt) {
+    // A rotated token was replayed, so it may be stolen: end the whole family
+    await runQuery(
+      "UPDATE RefreshToken SET RevokedAt = NOW() WHERE FamilyID = ? AND RevokedAt IS NULL",
+      [tokens[0].FamilyID],
+      pool
+    );
+    return INVALID_REFRESH_TOKEN_RESULT;
+  }
+
+  return withTransaction(async (dbConnection) => {
+    const rows = await runQuery(
+      `SELECT rt.TokenID, rt.UserID, rt.FamilyID, u.IsSuspended, u.DeletedAt
+       FROM RefreshToken rt
+       JOIN User u ON rt.UserID = u.UserID
+       WHERE rt.TokenHash = ? AND rt.UsedAt IS NULL AND rt.RevokedAt IS NULL
+         AND rt.ExpiresAt > NOW()
+       FOR UPDATE`,
+      [tokenHash],
+      dbConnection
+    );
+    const token = rows[0];
+    if (!token || token.IsSuspended || token.DeletedAt) {
+      return INVALID_REFRESH_TOKEN_RESULT;
+    }
+    await runQuery(
+      "UPDATE RefreshToken SET UsedAt = NOW() WHERE TokenID = ?",
+      [token.TokenID],
+      dbConnection
+    );
+    const newRefreshToken = await insertRefreshToken(
+      token.UserID,
+      token.FamilyID,
+      ttlDays,
+      dbConnection
+    );
+    return {
+      success: true,
+      data: { userId: token.UserID, refreshToken: newRefreshToken },
+    };
+  }, "Internal error refreshing token.");
+};
+
+// Revokes the family of the given refresh token (token logout)
+authDataPool.revokeRefreshToken = (refreshToken) =>
+  runQuery(
+    `UPDATE RefreshToken SET RevokedAt = NOW()
+     WHERE RevokedAt IS NULL AND FamilyID = (
+       SELECT FamilyID FROM (
+         SELECT FamilyID FROM RefreshToken WHERE TokenHash = ?
+       ) AS family
+     )`,
+    [hashToken(refreshToken)],
+    pool
+  );
+
+// Revokes every refresh token of a user, e.g. after a password change
+authDataPool.revokeUserRefreshTokens = (userId) =>
+  runQuery(
+    "UPDATE RefreshToken SET RevokedAt = NOW() WHERE UserID = ? AND RevokedAt IS NULL",
+    [userId],
+    pool
+  );
+
+// ===============================================================
+//                   ADMIN MODERATION OPERATIONS
+// ===============================================================
+
+// Every admin action is written to AdminAuditLog in the same transaction
+const recordAdminAction = (
+  adminId,
+  action,
+  targetType,
+  targetId,
+  details,
+  dbConnection
+) =>
+  runQuery(
+    `INSERT INTO AdminAuditLog (AdminID, Action, TargetType, TargetID, Details, CreatedAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [
+      adminId,
+      action,
+      targetType,
+      targetId,
+      details ? JSON.stringify(details) : null,
+    ],
+    dbConnection
+  );
+
+const ADMIN_LISTING_STATUSES = ["Active", "Hidden", "Removed"];
+
+authDataPool.searchUsers = async ({ q, role, suspended, page, pageSize }) => {
+  const conditions = [];
+  const values = [];
+  if (q) {
+    const searchValue = `%${q}%`;
+    conditions.push(
+      "(Username LIKE ? OR Email LIKE ? OR FirstName LIKE ? OR LastName LIKE ?)"
+    );
+    values.push(searchValue, searchValue, searchValue, searchValue);
+  }
+  if (role) {
+    conditions.push("Role = ?");
+    values.push(role);
+  }
+  if (suspended !== undefined) {
+    conditions.push("IsSuspended = ?");
+    values.push(suspended ? 1 : 0);
+  }
+  const where =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [countRows, users] = await Promise.all([
+    runQuery(`SELECT COUNT(*) AS Total FROM User ${where}`, values, pool),
+    runQuery(
+      `SELECT
+         UserID, Username, Email, PhoneNumber, FirstName, LastName, Role,
+         RegistrationDate, LastLoginDate, IsVerified,
+         IsSuspended, SuspendedAt, SuspensionReason
+       FROM User
+       ${where}
+       ORDER BY RegistrationDate DESC
+       LIMIT ? OFFSET ?`,
+      [...values, pageSize, (page - 1) * pageSize],
+      pool
+    ),
+  ]);
+  const total = countRows[0].Total;
+  return {
+    users,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+authDataPool.setUserSuspension = (adminId, userId, suspended, reason) => {
+  return withTransaction(async (dbConnection) => {
+    const users = await runQuery(
+      "SELECT UserID, Role, IsSuspended FROM User WHERE UserID = ? FOR UPDATE",
+      [userId],
+      dbConnection
+    );
+    if (users.length === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "User not found.",
+      };
+    }
+    if (users[0].UserID === adminId) {
+      return {
+        success: false,
+        reason: "conflict",
+        message: "You cannot suspend your own account.",
+      };
+    }
+    if (Boolean(users[0].IsSuspended) === suspended) {
+      return {
+        success: false,
+        reason: "conflict",
+        message: suspended
+          ? "User is already suspended."
+          : "User is not suspended.",
+      };
+    }
+    await runQuery(
+      suspended
+        ? "UPDATE User SET IsSuspended = 1, SuspendedAt = NOW(), SuspensionReason = ? WHERE UserID = ?"
+        : "UPDATE User SET IsSuspended = 0, SuspendedAt = NULL, SuspensionReason = NULL WHERE UserID = ?",
+      suspended ? [reason || null, userId] : [userId],
+      dbConnection
+    );
+    await recordAdminAction(
+      adminId,
+      suspended ? "SuspendUser" : "ReactivateUser",
+      "User",
+      userId,
+      suspended ? { reason: reason || null } : null,
+      dbConnection
+    );
+    return {
+      success: true,
+      message: suspended ? "User suspended." : "User reactivated.",
+    };
+  }, "Internal error updating user suspension.");
+};
+
+authDataPool.setUserVerification = (adminId, userId, isVerified) => {
+  return withTransaction(async (dbConnection) => {
+    const result = await runQuery(
+      "UPDATE User SET IsVerified = ? WHERE UserID = ?",
+      [isVerified ? 1 : 0, userId],
+      dbConnection
+    );
+    if (result.affectedRows === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "User not found.",
+      };
+    }
+    await recordAdminAction(
+      adminId,
+      isVerified ? "VerifyUser" : "UnverifyUser",
+      "User",
+      userId,
+      null,
+      dbConnection
+    );
+    return {
+      success: true,
+      message: isVerified ? "User verified." : "User verification removed.",
+    };
+  }, "Internal error updating user verification.");
+};
+
+// Hides, removes or restores a listing. Listings are never deleted here
+// because bookings and attachments reference them.
+authDataPool.setListingModerationStatus = (
+  adminId,
+  listingId,
+  status,
+  reason
+) => {
+  if (!ADMIN_LISTING_STATUSES.includes(status)) {
+    return Promise.resolve({
+      success: false,
+      reason: "invalid_status",
+      message: `Unknown listing status: ${status}.`,
+    });
+  }
+  return withTransaction(async (dbConnection) => {
+    const listings = await runQuery(
+      "SELECT ListingID, Status FROM Listing WHERE ListingID = ? FOR UPDATE",
+      [listingId],
+      dbConnection
+    );
+    if (listings.length === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Listing not found.",
+      };
+    }
+    const fromStatus = listings[0].Status;
+    await runQuery(
+      "UPDATE Listing SET Status = ? WHERE ListingID = ?",
+      [status, listingId],
+      dbConnection
+    );
+    await recordAdminAction(
+      adminId,
+      "SetListingStatus",
+      "Listing",
+      listingId,
+      { fromStatus, toStatus: status, reason: reason || null },
+      dbConnection
+    );
+    return { success: true, message: `Listing status set to ${status}.` };
+  }, "Internal error updating listing status.");
+};
+
+authDataPool.forceCancelBooking = (adminId, bookingId, reason) => {
+  return withTransaction(async (dbConnection, afterCommit) => {
+    const result = await applyBookingStatusChange(
+      bookingId,
+      "Cancelled",
+      { userId: adminId, role: "Admin" },
+      dbConnection,
+      afterCommit
+    );
+    if (!result.success) return result;
+    await recordAdminAction(
+      adminId,
+      "CancelBooking",
+      "Booking",
+      bookingId,
+      { fromStatus: result.data.fromStatus, reason: reason || null },
+      dbConnection
+    );
+    return result;
+  }, "Internal error cancelling booking.");
+};
+
+authDataPool.getAdminAuditLog = async ({
+  adminId,
+  action,
+  targetType,
+  targetId,
+  page,
+  pageSize,
+}) => {
+  const conditions = [];
+  const values = [];
+  if (adminId) {
+    conditions.push("log.AdminID = ?");
+    values.push(adminId);
+  }
+  if (action) {
+    conditions.push("log.Action = ?");
+    values.push(action);
+  }
+  if (targetType) {
+    conditions.push("log.TargetType = ?");
+    values.push(targetType);
+  }
+  if (targetId) {
+    conditions.push("log.TargetID = ?");
+    values.push(targetId);
+  }
+  const where =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [countRows, entries] = await Promise.all([
+    runQuery(
+      `SELECT COUNT(*) AS Total FROM AdminAuditLog log ${where}`,
+      values,
+      pool
+    ),
+    runQuery(
+      `SELECT
+         log.AuditID, log.Action, log.TargetType, log.TargetID, log.Details, log.CreatedAt,
+         log.AdminID, u.Username AS AdminName
+       FROM AdminAuditLog log
+       JOIN User u ON log.AdminID = u.UserID
+       ${where}
+       ORDER BY log.CreatedAt DESC, log.AuditID DESC
+       LIMIT ? OFFSET ?`,
+      [...values, pageSize, (page - 1) * pageSize],
+      pool
+    ),
+  ]);
+  const total = countRows[0].Total;
+  return {
+    entries: entries.map((entry) => ({
+      ...entry,
+      Details: entry.Details ? JSON.parse(entry.Details) : null,
+    })),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+// ===============================================================
+//                      CATEGORY OPERATIONS
+// ===============================================================
+
+authDataPool.getCategories = ({ includeInactive = false } = {}) =>
+  runQuery(
+    `SELECT CategoryID, Name, Description, IsActive, CreatedAt
+     FROM Category ${includeInactive ? "" : "WHERE IsActive = 1"}
+     ORDER BY Name`,
+    [],
+    pool
+  );
+
+const duplicateCategoryName = () =>
+  validationFailure({ name: "A category with this name already exists." });
+
+authDataPool.createCategory = (adminId, { name, description }) => {
+  return withTransaction(async (dbConnection) => {
+    let result;
+    try {
+      result = await runQuery(
+        "INSERT INTO Category (Name, Description, IsActive, CreatedAt) VALUES (?, ?, 1, NOW())",
+        [name.trim(), description || null],
+        dbConnection
+      );
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") return duplicateCategoryName();
+      throw error;
+    }
+    await recordAdminAction(
+      adminId,
+      "CreateCategory",
+      "Category",
+      result.insertId,
+      { name: name.trim() },
+      dbConnection
+    );
+    return {
+      success: true,
+      message: "Category created.",
+      data: { categoryId: result.insertId },
+    };
+  }, "Internal error while creating category.");
+};
+
+// Only the given fields change; isActive: true brings back a deleted category
+authDataPool.updateCategory = (
+  adminId,
+  categoryId,
+  { name, description, isActive }
+) => {
+  return withTransaction(async (dbConnection) => {
+    const categories = await runQuery(
+      "SELECT CategoryID, Name, Description, IsActive FROM Category WHERE CategoryID = ? FOR UPDATE",
+      [categoryId],
+      dbConnection
+    );
+    if (categories.length === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Category not found.",
+      };
+    }
+    const category = categories[0];
+    const changes = {
+      Name: name !== undefined ? name.trim() : category.Name,
+      Description:
+        description !== undefined ? description || null : category.Description,
+      IsActive:
+        isActive !== undefined
+          ? isActive === true || isActive === "true"
+            ? 1
+            : 0
+          : category.IsActive,
+    };
+    try {
+      await runQuery(
+        "UPDATE Category SET Name = ?, Description = ?, IsActive = ? WHERE CategoryID = ?",
+        [changes.Name, changes.Description, changes.IsActive, categoryId],
+        dbConnection
+      );
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") return duplicateCategoryName();
+      throw error;
+    }
+    await recordAdminAction(
+      adminId,
+      "UpdateCategory",
+      "Category",
+      categoryId,
+      { name, description, isActive },
+      dbConnection
+    );
+    return { success: true, message: "Category updated." };
+  }, "Internal error while updating category.");
+};
+
+// Categories stay in the table because booking items reference them;
+// deleting only stops listings and new bookings from using them
+authDataPool.deleteCategory = (adminId, categoryId) => {
+  return withTransaction(async (dbConnection) => {
+    const result = await runQuery(
+      "UPDATE Category SET IsActive = 0 WHERE CategoryID = ? AND IsActive = 1",
+      [categoryId],
+      dbConnection
+    );
+    if (result.affectedRows === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Category not found.",
+      };
+    }
+    await recordAdminAction(
+      adminId,
+      "DeleteCategory",
+      "Category",
+      categoryId,
+      null,
+      dbConnection
+    );
+    return { success: true, message: "Category deleted." };
+  }, "Internal error while deleting category.");
+};
+
+// { acceptsAllCategories, categories } for GET /listings/:id
+authDataPool.getListingCategories = async (listingId) => {
+  const rules = await runQuery(
+    "SELECT COUNT(*) AS Total FROM ListingCategory WHERE ListingID = ?",
+    [listingId],
+    pool
+  );
+  return {
+    acceptsAllCategories: rules[0].Total === 0,
+    categories: await getListingAcceptedCategories(listingId, pool),
+  };
+};
+
+// Replaces the categories an ItemSlot listing accepts. An empty list
+// accepts every active category again.
+// categories: [{ categoryId, slotWeight?, surcharge? }]
+authDataPool.setListingCategories = (listingId, providerId, categories) => {
+  return withTransaction(async (dbConnection) => {
+    const listing = await getOwnedListingForUpdate(
+      listingId,
+      providerId,
+      dbConnection
+    );
+    if (!listing) return listingNotFound;
+    if (listing.StorageType !== "ItemSlot") {
+      return validationFailure({
+        categories: "Only ItemSlot listings can restrict item categories.",
+      });
+    }
+
+    const categoryIds = categories.map((category) =>
+      parseInt(category.categoryId)
+    );
+    if (new Set(categoryIds).size !== categoryIds.length) {
+      return validationFailure({
+        categories: "Each category may only be listed once.",
+      });
+    }
+    if (categoryIds.length > 0) {
+      const found = await runQuery(
+        "SELECT CategoryID FROM Category WHERE CategoryID IN (?) AND IsActive = 1",
+        [categoryIds],
+        dbConnection
+      );
+      const foundIds = found.map((row) => row.CategoryID);
+      const unknown = categoryIds.filter((id) => !foundIds.includes(id));
+      if (unknown.length > 0) {
+        return validationFailure({
+          categories: `Unknown category: ${unknown.join(", ")}.`,
+        });
       }
+    }
+
+    await runQuery(
+      "DELETE FROM ListingCategory WHERE ListingID = ?",
+      [listingId],
+      dbConnection
+    );
+    if (categories.length > 0) {
+      await runQuery(
+        "INSERT INTO ListingCategory (ListingID, CategoryID, SlotWeight, Surcharge) VALUES ?",
+        [
+          categories.map((category, index) => [
+            listingId,
+            categoryIds[index],
+            parseInt(category.slotWeight) || DEFAULT_SLOT_WEIGHT,
+            parseFloat(category.surcharge) || DEFAULT_SURCHARGE,
+          ]),
+        ],
+        dbConnection
+      );
+    }
+    return {
+      success: true,
+      message: "Listing categories updated.",
+      data: {
+        categories: await getListingAcceptedCategories(listingId, dbConnection),
+      },
+    };
+  }, "Internal error while updating listing categories.");
+};
+
+// ===============================================================
+//                     MESSAGING OPERATIONS
+// ===============================================================
+
+const conversationNotFound = {
+  success: false,
+  reason: "not_found",
+  message: "Conversation not found.",
+};
+
+const MESSAGE_FIELDS =
+  "MessageID, ConversationID, SenderID, Body, SentAt, ReadAt";
+
+// The conversation if the user is one of its two participants
+const getConversationForUser = async (conversationId, userId, dbConnection) => {
+  const conversations = await runQuery(
+    `SELECT ConversationID, ListingID, BookingID, SeekerID, ProviderID,
+       CreatedAt, LastMessageAt
+     FROM Conversation
+     WHERE ConversationID = ? AND (SeekerID = ? OR ProviderID = ?)`,
+    [conversationId, userId, userId],
+    dbConnection
+  );
+  return conversations[0] || null;
+};
+
+const insertMessage = async (conversationId, senderId, body, dbConnection) => {
+  const result = await runQuery(
+    "INSERT INTO Message (ConversationID, SenderID, Body, SentAt) VALUES (?, ?, ?, NOW())",
+    [conversationId, senderId, body.trim()],
+    dbConnection
+  );
+  await runQuery(
+    "UPDATE Conversation SET LastMessageAt = NOW() WHERE ConversationID = ?",
+    [conversationId],
+    dbConnection
+  );
+  const messages = await runQuery(
+    `SELECT ${MESSAGE_FIELDS} FROM Message WHERE MessageID = ?`,
+    [result.insertId],
+    dbConnection
+  );
+  return messages[0];
+};
+
+// Seeker and provider of a new thread. A booking thread can be started by
+// either side; a listing thread only by a seeker, about an Active listing.
+const resolveConversationParties = async (
+  userId,
+  { listingId, bookingId },
+  dbConnection
+) => {
+  if (bookingId) {
+    const bookings = await runQuery(
+      `SELECT b.BookingID, b.ListingID, b.SeekerID, l.ProviderID
+       FROM Booking b JOIN Listing l ON b.ListingID = l.ListingID
+       WHERE b.BookingID = ? AND (b.SeekerID = ? OR l.ProviderID = ?)`,
+      [bookingId, userId, userId],
+      dbConnection
+    );
+    if (bookings.length === 0) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Booking not found.",
+      };
+    }
+    const [booking] = bookings;
+    return {
+      success: true,
+      data: {
+        listingId: booking.ListingID,
+        bookingId: booking.BookingID,
+        seekerId: booking.SeekerID,
+        providerId: booking.ProviderID,
+      },
+    };
+  }
+
+  const listings = await runQuery(
+    "SELECT ListingID, ProviderID, Status FROM Listing WHERE ListingID = ?",
+    [listingId],
+    dbConnection
+  );
+  if (listings.length === 0 || listings[0].Status !== LISTING_STATUS.ACTIVE) {
+    return {
+      success: false,
+      reason: "not_found",
+      message: "Listing not found.",
+    };
+  }
+  if (listings[0].ProviderID === userId) {
+    return {
+      success: false,
+      reason: "invalid_input",
+      message: "You can't start a conversation about your own listing.",
+    };
+  }
+  return {
+    success: true,
+    data: {
+      listingId: listings[0].ListingID,
+      bookingId: null,
+      seekerId: userId,
+      providerId: listings[0].ProviderID,
+    },
+  };
+};
+
+// Opens the thread for a listing or booking (or reuses the existing one)
+// and posts the first message to it
+authDataPool.startConversation = (
+  userId,
+  { listingId, bookingId, message }
+) => {
+  return withTransaction(async (dbConnection, afterCommit) => {
+    const parties = await resolveConversationParties(
+      userId,
+      { listingId: parseInt(listingId), bookingId: parseInt(bookingId) },
+      dbConnection
     );
+    if (!parties.success) return parties;
+    const { data } = parties;
+
+    // uq_conversation makes concurrent starts end up in the same thread
+    const inserted = await runQuery(
+      `INSERT IGNORE INTO Conversation
+         (ListingID, BookingID, SeekerID, ProviderID, CreatedAt, LastMessageAt)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [data.listingId, data.bookingId, data.seekerId, data.providerId],
+      dbConnection
+    );
+    const conversations = await runQuery(
+      `SELECT ConversationID FROM Conversation
+       WHERE ListingID = ? AND SeekerID = ? AND BookingKey = ?`,
+      [data.listingId, data.seekerId, data.bookingId || 0],
+      dbConnection
+    );
+    const conversationId = conversations[0].ConversationID;
+    const sent = await insertMessage(
+      conversationId,
+      userId,
+      message,
+      dbConnection
+    );
+    afterCommit(() =>
+      notifyMessageRecipient(
+        {
+          ConversationID: conversationId,
+          SeekerID: data.seekerId,
+          ProviderID: data.providerId,
+        },
+        sent
+      )
+    );
+    return {
+      success: true,
+      message: "Message sent.",
+      data: {
+        conversationId,
+        created: inserted.affectedRows === 1,
+        message: sent,
+      },
+    };
+  }, "Internal error while starting the conversation.");
+};
+
+// The user's conversations, most recently active first, with the other
+// participant, the latest message and the number of unread messages
+authDataPool.getConversations = async (userId) => {
+  const conversations = await runQuery(
+    `SELECT
+       c.ConversationID, c.ListingID, l.Title AS ListingTitle, c.BookingID,
+       c.SeekerID, c.ProviderID, c.CreatedAt, c.LastMessageAt,
+       o.UserID AS OtherUserID, o.Username AS OtherUsername,
+       o.ProfilePictureURL AS OtherUserPicture,
+       (SELECT m.Body FROM Message m
+        WHERE m.ConversationID = c.ConversationID
+        ORDER BY m.MessageID DESC LIMIT 1) AS LastMessage,
+       (SELECT COUNT(*) FROM Message m
+        WHERE m.ConversationID = c.ConversationID
+          AND m.SenderID <> ? AND m.ReadAt IS NULL) AS UnreadCount
+     FROM Conversation c
+     JOIN Listing l ON c.ListingID = l.ListingID
+     JOIN User o ON o.UserID = IF(c.SeekerID = ?, c.ProviderID, c.SeekerID)
+     WHERE c.SeekerID = ? OR c.ProviderID = ?
+     ORDER BY c.LastMessageAt DESC, c.ConversationID DESC`,
+    [userId, userId, userId, userId],
+    pool
+  );
+  return resolveMediaUrls(conversations, ["OtherUserPicture"]);
+};
+
+// Unread messages across all of the user's conversations
+authDataPool.getUnreadMessageCount = async (userId) => {
+  const rows = await runQuery(
+    `SELECT COUNT(*) AS Unread
+     FROM Message m
+     JOIN Conversation c ON m.ConversationID = c.ConversationID
+     WHERE (c.SeekerID = ? OR c.ProviderID = ?)
+       AND m.SenderID <> ? AND m.ReadAt IS NULL`,
+    [userId, userId, userId],
+    pool
+  );
+  return rows[0].Unread;
+};
+
+// One conversation with the other participant's username and picture. Their
+// name, email and phone number are only included once the seeker has a
+// booking on the listing that the provider accepted.
+authDataPool.getConversation = async (conversationId, userId) => {
+  const conversation = await getConversationForUser(
+    conversationId,
+    userId,
+    pool
+  );
+  if (!conversation) return conversationNotFound;
+
+  const otherUserId =
+    conversation.SeekerID === userId
+      ? conversation.ProviderID
+      : conversation.SeekerID;
+  const [users, listings, acceptedBookings, unread] = await Promise.all([
+    runQuery(
+      `SELECT UserID, Username, FirstName, LastName, Email, PhoneNumber,
+         ProfilePictureURL
+       FROM User WHERE UserID = ?`,
+      [otherUserId],
+      pool
+    ),
+    runQuery(
+      "SELECT ListingID, Title, Status FROM Listing WHERE ListingID = ?",
+      [conversation.ListingID],
+      pool
+    ),
+    runQuery(
+      `SELECT BookingID FROM Booking
+       WHERE ListingID = ? AND SeekerID = ? AND BookingStatus IN (?)
+       LIMIT 1`,
+      [conversation.ListingID, conversation.SeekerID, CONTACT_VISIBLE_STATUSES],
+      pool
+    ),
+    runQuery(
+      `SELECT COUNT(*) AS Unread FROM Message
+       WHERE ConversationID = ? AND SenderID <> ? AND ReadAt IS NULL`,
+      [conversation.ConversationID, userId],
+      pool
+    ),
+  ]);
+  const { FirstName, LastName, Email, PhoneNumber, ...participant } =
+    await resolveMediaUrls(users[0], ["ProfilePictureURL"]);
+  return {
+    success: true,
+    data: {
+      ...conversation,
+      Listing: listings[0],
+      UnreadCount: unread[0].Unread,
+      Participant: {
+        ...participant,
+        Contact:
+          acceptedBookings.length > 0
+            ? { FirstName, LastName, Email, PhoneNumber }
+            : null,
+      },
+    },
+  };
+};
+
+// A page of messages, newest page first and oldest-first within the page
+authDataPool.getConversationMessages = async (
+  conversationId,
+  userId,
+  { page, pageSize }
+) => {
+  const conversation = await getConversationForUser(
+    conversationId,
+    userId,
+    pool
+  );
+  if (!conversation) return conversationNotFound;
+
+  const [countRows, messages] = await Promise.all([
+    runQuery(
+      "SELECT COUNT(*) AS Total FROM Message WHERE ConversationID = ?",
+      [conversation.ConversationID],
+      pool
+    ),
+    runQuery(
+      `SELECT ${MESSAGE_FIELDS} FROM Message
+       WHERE ConversationID = ?
+       ORDER BY MessageID DESC
+       LIMIT ? OFFSET ?`,
+      [conversation.ConversationID, pageSize, (page - 1) * pageSize],
+      pool
+    ),
+  ]);
+  const total = countRows[0].Total;
+  return {
+    success: true,
+    data: messages.reverse(),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+authDataPool.sendMessage = (conversationId, senderId, body) => {
+  return withTransaction(async (dbConnection, afterCommit) => {
+    const conversation = await getConversationForUser(
+      conversationId,
+      senderId,
+      dbConnection
+    );
+    if (!conversation) return conversationNotFound;
+    const message = await insertMessage(
+      conversation.ConversationID,
+      senderId,
+      body,
+      dbConnection
+    );
+    afterCommit(() => notifyMessageRecipient(conversation, message));
+    return { success: true, message: "Message sent.", data: message };
+  }, "Internal error while sending the message.");
+};
+
+// Marks the other participant's messages as read
+authDataPool.markConversationRead = async (conversationId, userId) => {
+  const conversation = await getConversationForUser(
+    conversationId,
+    userId,
+    pool
+  );
+  if (!conversation) return conversationNotFound;
+  const result = await runQuery(
+    `UPDATE Message SET ReadAt = NOW()
+     WHERE ConversationID = ? AND SenderID <> ? AND ReadAt IS NULL`,
+    [conversation.ConversationID, userId],
+    pool
+  );
+  return {
+    success: true,
+    message: "Conversation marked as read.",
+    data: { marked: result.affectedRows },
+  };
+};
+
+// ===============================================================
+//                     NOTIFICATION OPERATIONS
+// ===============================================================
+
+const NOTIFICATION_FIELDS =
+  "NotificationID, UserID, Type, Message, Data, CreatedAt, ReadAt";
+
+// Stores a notification and pushes it to the user's open streams. Called
+// once the change it reports has been committed, so it writes through the
+// pool and never joins a transaction; a failure is only logged, the change
+// itself already went through.
+const notifyUser = async (userId, type, details) => {
+  try {
+    const message = describeNotification(type, details);
+    const { listingTitle, senderName, recipientRole, ...data } = details;
+    const result = await runQuery(
+      "INSERT INTO Notification (UserID, Type, Message, Data, CreatedAt) VALUES (?, ?, ?, ?, NOW())",
+      [userId, type, message, JSON.stringify(data)],
+      pool
+    );
+    notificationHub.publish(userId, {
+      NotificationID: result.insertId,
+      UserID: userId,
+      Type: type,
+      Message: message,
+      Data: data,
+      CreatedAt: new Date(),
+      ReadAt: null,
+    });
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+  }
+};
+
+const notifyBookingRequested = (listing, bookingId) =>
+  notifyUser(listing.ProviderID, NOTIFICATION_TYPES.BOOKING_REQUESTED, {
+    bookingId,
+    listingId: listing.ListingID,
+    listingTitle: listing.Title,
   });
+
+// Both sides hear about a status change, except whoever made it
+const notifyBookingStatusChange = (booking, fromStatus, toStatus, actor) =>
+  Promise.all(
+    [
+      { userId: booking.SeekerID, recipientRole: "Seeker" },
+      { userId: booking.ProviderID, recipientRole: "Provider" },
+    ]
+      .filter(({ userId }) => userId !== actor.userId)
+      .map(({ userId, recipientRole }) =>
+        notifyUser(userId, NOTIFICATION_TYPES.BOOKING_STATUS_CHANGED, {
+          bookingId: booking.BookingID,
+          listingId: booking.ListingID,
+          listingTitle: booking.ListingTitle,
+          fromStatus,
+          toStatus,
+          recipientRole,
+        })
+      )
+  );
+
+const notifyMessageRecipient = async (conversation, message) => {
+  const recipientId =
+    message.SenderID === conversation.SeekerID
+      ? conversation.ProviderID
+      : conversation.SeekerID;
+  try {
+    const senders = await runQuery(
+      "SELECT Username FROM User WHERE UserID = ?",
+      [message.SenderID],
+      pool
+    );
+    await notifyUser(recipientId, NOTIFICATION_TYPES.MESSAGE_RECEIVED, {
+      conversationId: conversation.ConversationID,
+      messageId: message.MessageID,
+      senderName: senders[0].Username,
+    });
+  } catch (error) {
+    console.error("Error creating message notification:", error);
+  }
+};
+
+// Newest first; { unreadOnly, page, pageSize }
+authDataPool.getNotifications = async (
+  userId,
+  { unreadOnly, page, pageSize }
+) => {
+  const where = `WHERE UserID = ?${unreadOnly ? " AND ReadAt IS NULL" : ""}`;
+  const [countRows, unreadRows, notifications] = await Promise.all([
+    runQuery(
+      `SELECT COUNT(*) AS Total FROM Notification ${where}`,
+      [userId],
+      pool
+    ),
+    runQuery(
+      "SELECT COUNT(*) AS Unread FROM Notification WHERE UserID = ? AND ReadAt IS NULL",
+      [userId],
+      pool
+    ),
+    runQuery(
+      `SELECT ${NOTIFICATION_FIELDS} FROM Notification ${where}
+       ORDER BY NotificationID DESC
+       LIMIT ? OFFSET ?`,
+      [userId, pageSize, (page - 1) * pageSize],
+      pool
+    ),
+  ]);
+  const total = countRows[0].Total;
+  return {
+    notifications,
+    unread: unreadRows[0].Unread,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+// Notifications a reconnecting stream missed (Last-Event-ID), oldest first
+authDataPool.getNotificationsAfter = (userId, lastNotificationId, limit = 50) =>
+  runQuery(
+    `SELECT ${NOTIFICATION_FIELDS} FROM Notification
+     WHERE UserID = ? AND NotificationID > ?
+     ORDER BY NotificationID ASC
+     LIMIT ?`,
+    [userId, lastNotificationId, limit],
+    pool
+  );
+
+authDataPool.getUnreadNotificationCount = async (userId) => {
+  const rows = await runQuery(
+    "SELECT COUNT(*) AS Unread FROM Notification WHERE UserID = ? AND ReadAt IS NULL",
+    [userId],
+    pool
+  );
+  return rows[0].Unread;
+};
+
+authDataPool.markNotificationRead = async (notificationId, userId) => {
+  const notifications = await runQuery(
+    "SELECT NotificationID FROM Notification WHERE NotificationID = ? AND UserID = ?",
+    [notificationId, userId],
+    pool
+  );
+  if (notifications.length === 0) {
+    return {
+      success: false,
+      reason: "not_found",
+      message: "Notification not found.",
+    };
+  }
+  await runQuery(
+    "UPDATE Notification SET ReadAt = NOW() WHERE NotificationID = ? AND ReadAt IS NULL",
+    [notificationId],
+    pool
+  );
+  return { success: true, message: "Notification marked as read." };
 };
+
+authDataPool.markAllNotificationsRead = async (userId) => {
+  const result = await runQuery(
+    "UPDATE Notification SET ReadAt = NOW() WHERE UserID = ? AND ReadAt IS NULL",
+    [userId],
+    pool
+  );
+  return {
+    success: true,
+    message: "All notifications marked as read.",
+    data: { marked: result.affectedRows },
+  };
+};
+
 // ===============================================================
 //                        MODULE EXPORTS
 // ===============================================================
 
 module.exports = {
+  dbConfig,
   authDataPool,
   validateEmail,
   validatePassword,
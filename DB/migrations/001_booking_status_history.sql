@@ -0,0 +1,17 @@
+-- Booking lifecycle: free-form status column and audit trail of status changes
+
+ALTER TABLE Booking
+  MODIFY BookingStatus VARCHAR(20) NOT NULL DEFAULT 'Pending';
+
+CREATE TABLE IF NOT EXISTS BookingStatusHistory (
+  HistoryID INT AUTO_INCREMENT PRIMARY KEY,
+  BookingID INT NOT NULL,
+  FromStatus VARCHAR(20) NULL,
+  ToStatus VARCHAR(20) NOT NULL,
+  ChangedByUserID INT NULL, -- NULL when changed by the system
+  ChangedByRole VARCHAR(20) NOT NULL,
+  ChangedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (BookingID) REFERENCES Booking(BookingID),
+  FOREIGN KEY (ChangedByUserID) REFERENCES User(UserID),
+  INDEX idx_booking_history_booking (BookingID)
+);
@@ -0,0 +1,22 @@
+-- Ratings and reviews left after a booking is Completed.
+-- ReviewType 'Provider' = seeker reviewing the provider and listing,
+-- ReviewType 'Seeker' = provider reviewing the seeker.
+
+CREATE TABLE IF NOT EXISTS Review (
+  ReviewID INT AUTO_INCREMENT PRIMARY KEY,
+  BookingID INT NOT NULL,
+  ListingID INT NOT NULL,
+  ReviewerID INT NOT NULL,
+  RevieweeID INT NOT NULL,
+  ReviewType VARCHAR(20) NOT NULL,
+  Rating TINYINT NOT NULL,
+  Comment TEXT NULL,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_review_booking_type (BookingID, ReviewType),
+  FOREIGN KEY (BookingID) REFERENCES Booking(BookingID),
+  FOREIGN KEY (ListingID) REFERENCES Listing(ListingID),
+  FOREIGN KEY (ReviewerID) REFERENCES User(UserID),
+  FOREIGN KEY (RevieweeID) REFERENCES User(UserID),
+  INDEX idx_review_reviewee (RevieweeID, ReviewType),
+  INDEX idx_review_listing (ListingID)
+);
@@ -0,0 +1,6 @@
+-- Geolocation for addresses, used by GET /listings/nearby
+
+ALTER TABLE Address
+  ADD COLUMN Latitude DECIMAL(9, 6) NULL,
+  ADD COLUMN Longitude DECIMAL(9, 6) NULL,
+  ADD INDEX idx_address_coordinates (Latitude, Longitude);
@@ -0,0 +1,23 @@
+-- Admin moderation: account suspension, listing moderation states and audit log
+
+ALTER TABLE User
+  ADD COLUMN IsSuspended TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN SuspendedAt DATETIME NULL,
+  ADD COLUMN SuspensionReason VARCHAR(255) NULL;
+
+-- 'Active', 'Hidden' (by an admin) or 'Removed' (by an admin)
+ALTER TABLE Listing
+  MODIFY Status VARCHAR(20) NOT NULL DEFAULT 'Active';
+
+CREATE TABLE IF NOT EXISTS AdminAuditLog (
+  AuditID INT AUTO_INCREMENT PRIMARY KEY,
+  AdminID INT NOT NULL,
+  Action VARCHAR(50) NOT NULL,
+  TargetType VARCHAR(20) NOT NULL, -- 'User', 'Listing' or 'Booking'
+  TargetID INT NOT NULL,
+  Details TEXT NULL, -- JSON
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (AdminID) REFERENCES User(UserID),
+  INDEX idx_audit_target (TargetType, TargetID),
+  INDEX idx_audit_admin (AdminID)
+);
@@ -0,0 +1,15 @@
+-- Single-use tokens for email verification and password reset.
+-- Only the SHA-256 hash of a token is stored.
+
+CREATE TABLE IF NOT EXISTS UserToken (
+  TokenID INT AUTO_INCREMENT PRIMARY KEY,
+  UserID INT NOT NULL,
+  Purpose VARCHAR(30) NOT NULL, -- 'EmailVerification' or 'PasswordReset'
+  TokenHash CHAR(64) NOT NULL,
+  ExpiresAt DATETIME NOT NULL,
+  UsedAt DATETIME NULL,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (UserID) REFERENCES User(UserID),
+  UNIQUE KEY uq_user_token_hash (TokenHash),
+  INDEX idx_user_token_user (UserID, Purpose)
+);
@@ -0,0 +1,5 @@
+-- Closed accounts are anonymized instead of deleted, because bookings,
+-- listings and reviews keep referencing them.
+
+ALTER TABLE User
+  ADD COLUMN DeletedAt DATETIME NULL;
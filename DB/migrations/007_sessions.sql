@@ -0,0 +1,13 @@
+-- Persistent express-session store (DB/sessionStore.js)
+
+CREATE TABLE IF NOT EXISTS Session (
+  SessionID VARCHAR(128) NOT NULL PRIMARY KEY,
+  UserID INT NULL, -- NULL until the session logs in
+  Data MEDIUMTEXT NOT NULL,
+  ExpiresAt DATETIME NOT NULL,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  LastSeenAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (UserID) REFERENCES User(UserID) ON DELETE CASCADE,
+  INDEX idx_session_user (UserID),
+  INDEX idx_session_expires (ExpiresAt)
+);
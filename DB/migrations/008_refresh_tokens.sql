@@ -0,0 +1,18 @@
+-- Rotating refresh tokens for Bearer (mobile / partner) clients.
+-- Every refresh marks the old token used and issues a new one in the same
+-- family; presenting a used token again revokes the whole family.
+
+CREATE TABLE IF NOT EXISTS RefreshToken (
+  TokenID INT AUTO_INCREMENT PRIMARY KEY,
+  UserID INT NOT NULL,
+  FamilyID VARCHAR(32) NOT NULL,
+  TokenHash CHAR(64) NOT NULL,
+  ExpiresAt DATETIME NOT NULL,
+  UsedAt DATETIME NULL,
+  RevokedAt DATETIME NULL,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (UserID) REFERENCES User(UserID),
+  UNIQUE KEY uq_refresh_token_hash (TokenHash),
+  INDEX idx_refresh_token_family (FamilyID),
+  INDEX idx_refresh_token_user (UserID)
+);
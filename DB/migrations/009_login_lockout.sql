@@ -0,0 +1,5 @@
+-- Temporary account lockout after repeated failed logins
+
+ALTER TABLE User
+  ADD COLUMN FailedLoginCount INT NOT NULL DEFAULT 0,
+  ADD COLUMN LockedUntil DATETIME NULL;
@@ -0,0 +1,5 @@
+-- Resized copies of listing images, written by middleware/upload.js
+
+ALTER TABLE Attachment
+  ADD COLUMN ThumbnailURL VARCHAR(255) NULL AFTER FileURL,
+  ADD COLUMN MediumURL VARCHAR(255) NULL AFTER ThumbnailURL;
@@ -0,0 +1,18 @@
+-- Display order of listing images, managed by PUT /listings/:id/images/order
+
+ALTER TABLE Attachment
+  ADD COLUMN SortOrder INT NOT NULL DEFAULT 0;
+
+-- Existing images keep their current order with the primary image first
+UPDATE Attachment att
+JOIN (
+  SELECT AttachmentID,
+    ROW_NUMBER() OVER (
+      PARTITION BY ListingID ORDER BY IsPrimary DESC, AttachmentID
+    ) - 1 AS Position
+  FROM Attachment
+) ordered ON ordered.AttachmentID = att.AttachmentID
+SET att.SortOrder = ordered.Position;
+
+-- Exactly one primary image per listing: the first one
+UPDATE Attachment SET IsPrimary = IF(SortOrder = 0, 1, 0);
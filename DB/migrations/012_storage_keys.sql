@@ -0,0 +1,14 @@
+-- Uploads are referenced by storage key (the file name) instead of a
+-- filesystem path such as "uploads/x.jpg" or "uploads\x.jpg".
+-- Copy the files themselves with scripts/copyUploadsToStorage.js when
+-- switching to another storage driver.
+
+UPDATE Attachment SET
+  FileURL = SUBSTRING_INDEX(REPLACE(FileURL, '\\', '/'), '/', -1),
+  ThumbnailURL = SUBSTRING_INDEX(REPLACE(ThumbnailURL, '\\', '/'), '/', -1),
+  MediumURL = SUBSTRING_INDEX(REPLACE(MediumURL, '\\', '/'), '/', -1)
+WHERE FileURL NOT LIKE 'http%';
+
+UPDATE User SET
+  ProfilePictureURL = SUBSTRING_INDEX(REPLACE(ProfilePictureURL, '\\', '/'), '/', -1)
+WHERE ProfilePictureURL IS NOT NULL AND ProfilePictureURL NOT LIKE 'http%';
@@ -0,0 +1,7 @@
+-- Provider-managed listing states: 'Draft', 'Active', 'Paused', 'Archived'
+-- and 'Deleted', next to the admin states 'Hidden' and 'Removed'.
+-- Status is already a VARCHAR(20) (see 004), so only the lookups need an index.
+
+ALTER TABLE Listing
+  ADD INDEX idx_listing_status (Status),
+  ADD INDEX idx_listing_provider_status (ProviderID, Status);
@@ -0,0 +1,28 @@
+-- Item categories for ItemSlot bookings (BookingItem.CategoryID).
+-- Categories are never removed, only deactivated (IsActive = 0).
+
+CREATE TABLE IF NOT EXISTS Category (
+  CategoryID INT AUTO_INCREMENT PRIMARY KEY,
+  Name VARCHAR(60) NOT NULL,
+  Description VARCHAR(255) NULL,
+  IsActive TINYINT(1) NOT NULL DEFAULT 1,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_category_name (Name)
+);
+
+-- Categories a listing accepts. A listing without rows accepts every
+-- active category with weight 1 and no surcharge.
+CREATE TABLE IF NOT EXISTS ListingCategory (
+  ListingID INT NOT NULL,
+  CategoryID INT NOT NULL,
+  SlotWeight INT NOT NULL DEFAULT 1, -- slots one item occupies
+  Surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0, -- per item and billing period
+  PRIMARY KEY (ListingID, CategoryID),
+  FOREIGN KEY (ListingID) REFERENCES Listing(ListingID) ON DELETE CASCADE,
+  FOREIGN KEY (CategoryID) REFERENCES Category(CategoryID)
+);
+
+-- Weight and surcharge as they were when the booking was made
+ALTER TABLE BookingItem
+  ADD COLUMN SlotWeight INT NOT NULL DEFAULT 1,
+  ADD COLUMN Surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,34 @@
+-- Conversations between a seeker and the provider of a listing, either
+-- about the listing itself (BookingID NULL) or about one of its bookings.
+-- There is at most one thread per listing, seeker and booking.
+
+CREATE TABLE IF NOT EXISTS Conversation (
+  ConversationID INT AUTO_INCREMENT PRIMARY KEY,
+  ListingID INT NOT NULL,
+  BookingID INT NULL,
+  SeekerID INT NOT NULL,
+  ProviderID INT NOT NULL,
+  BookingKey INT AS (COALESCE(BookingID, 0)) STORED, -- NULLs aren't unique
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  LastMessageAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_conversation (ListingID, SeekerID, BookingKey),
+  KEY idx_conversation_seeker (SeekerID, LastMessageAt),
+  KEY idx_conversation_provider (ProviderID, LastMessageAt),
+  FOREIGN KEY (ListingID) REFERENCES Listing(ListingID),
+  FOREIGN KEY (BookingID) REFERENCES Booking(BookingID),
+  FOREIGN KEY (SeekerID) REFERENCES User(UserID),
+  FOREIGN KEY (ProviderID) REFERENCES User(UserID)
+);
+
+-- ReadAt is set when the other participant marks the conversation as read
+CREATE TABLE IF NOT EXISTS Message (
+  MessageID INT AUTO_INCREMENT PRIMARY KEY,
+  ConversationID INT NOT NULL,
+  SenderID INT NOT NULL,
+  Body TEXT NOT NULL,
+  SentAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ReadAt DATETIME NULL,
+  KEY idx_message_unread (ConversationID, SenderID, ReadAt),
+  FOREIGN KEY (ConversationID) REFERENCES Conversation(ConversationID) ON DELETE CASCADE,
+  FOREIGN KEY (SenderID) REFERENCES User(UserID)
+);
@@ -0,0 +1,15 @@
+-- In-app notifications. Data holds the ids the client needs to link to the
+-- related booking, listing, conversation or review.
+
+CREATE TABLE IF NOT EXISTS Notification (
+  NotificationID INT AUTO_INCREMENT PRIMARY KEY,
+  UserID INT NOT NULL,
+  Type VARCHAR(40) NOT NULL,
+  Message VARCHAR(255) NOT NULL,
+  Data JSON NULL,
+  CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ReadAt DATETIME NULL,
+  KEY idx_notification_user (UserID, NotificationID),
+  KEY idx_notification_unread (UserID, ReadAt),
+  FOREIGN KEY (UserID) REFERENCES User(UserID)
+);
@@ -0,0 +1,13 @@
+-- Login lockout per login identifier (lower-cased email or username)
+-- instead of per account, so unknown identifiers lock like real ones.
+-- Replaces the counters 009_login_lockout.sql added to User.
+
+CREATE TABLE IF NOT EXISTS LoginLockout (
+  Identifier VARCHAR(255) NOT NULL PRIMARY KEY,
+  FailedLoginCount INT NOT NULL DEFAULT 0,
+  LockedUntil DATETIME NULL
+);
+
+ALTER TABLE User
+  DROP COLUMN FailedLoginCount,
+  DROP COLUMN LockedUntil;
@@ -0,0 +1,128 @@
+/*
+=================================================================
+                    MYSQL SESSION STORE MODULE
+=================================================================
+  express-session store backed by the Session table. Uses its own
+  connection pool (same config as dbConn.js) so session writes are
+  never part of another request's transaction.
+*/
+
+const mysql = require("mysql2");
+const session = require("express-session");
+const { dbConfig } = require("./dbConn.js");
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+class MySqlSessionStore extends session.Store {
+  constructor({ pool = mysql.createPool(dbConfig), pruneIntervalMs } = {}) {
+    super();
+    this.pool = pool;
+    this.pruneTimer = setInterval(
+      () => this.prune(),
+      pruneIntervalMs || PRUNE_INTERVAL_MS
+    );
+    this.pruneTimer.unref();
+  }
+
+  // Expiry follows the session cookie, so the row and cookie expire together
+  getExpiry(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+  }
+
+  get(sid, callback) {
+    const query =
+      "SELECT Data FROM Session WHERE SessionID = ? AND ExpiresAt > NOW()";
+    this.pool.query(query, [sid], (err, results) => {
+      if (err) return callback(err);
+      if (results.length === 0) return callback(null, null);
+      try {
+        callback(null, JSON.parse(results[0].Data));
+      } catch (parseErr) {
+        callback(parseErr);
+      }
+    });
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const query = `
+      INSERT INTO Session (SessionID, UserID, Data, ExpiresAt, CreatedAt, LastSeenAt)
+      VALUES (?, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        UserID = VALUES(UserID), Data = VALUES(Data),
+        ExpiresAt = VALUES(ExpiresAt), LastSeenAt = NOW()`;
+    this.pool.query(
+      query,
+      [sid, sess.userId || null, JSON.stringify(sess), this.getExpiry(sess)],
+      (err) => callback(err || null)
+    );
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    const query =
+      "UPDATE Session SET ExpiresAt = ?, LastSeenAt = NOW() WHERE SessionID = ?";
+    this.pool.query(query, [this.getExpiry(sess), sid], (err) =>
+      callback(err || null)
+    );
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.pool.query("DELETE FROM Session WHERE SessionID = ?", [sid], (err) =>
+      callback(err || null)
+    );
+  }
+
+  // Used by utils/sessions.js instead of scanning every session with all()
+  findByUser(userId, callback) {
+    const query = `
+      SELECT SessionID, Data, CreatedAt, LastSeenAt, ExpiresAt
+      FROM Session
+      WHERE UserID = ? AND ExpiresAt > NOW()
+      ORDER BY LastSeenAt DESC`;
+    this.pool.query(query, [userId], (err, results) => {
+      if (err) return callback(err);
+      callback(
+        null,
+        results.map((row) => ({
+          ...JSON.parse(row.Data),
+          id: row.SessionID,
+          createdAt: row.CreatedAt,
+          lastSeenAt: row.LastSeenAt,
+          expiresAt: row.ExpiresAt,
+        }))
+      );
+    });
+  }
+
+  all(callback) {
+    const query = "SELECT SessionID, Data FROM Session WHERE ExpiresAt > NOW()";
+    this.pool.query(query, (err, results) => {
+      if (err) return callback(err);
+      callback(
+        null,
+        results.map((row) => ({ ...JSON.parse(row.Data), id: row.SessionID }))
+      );
+    });
+  }
+
+  length(callback) {
+    const query =
+      "SELECT COUNT(*) AS Total FROM Session WHERE ExpiresAt > NOW()";
+    this.pool.query(query, (err, results) =>
+      err ? callback(err) : callback(null, results[0].Total)
+    );
+  }
+
+  clear(callback = () => {}) {
+    this.pool.query("DELETE FROM Session", (err) => callback(err || null));
+  }
+
+  prune() {
+    this.pool.query("DELETE FROM Session WHERE ExpiresAt <= NOW()", (err) => {
+      if (err) console.error("Session store prune failed:", err.message);
+    });
+  }
+}
+
+module.exports = { MySqlSessionStore };
@@ -0,0 +1,39 @@
+/*
+=================================================================
+                    RATE LIMIT CONFIGURATION
+=================================================================
+  Every limit can be overridden from the environment:
+    RATE_LIMIT_<NAME>_MAX             requests per window
+    RATE_LIMIT_<NAME>_WINDOW_MINUTES  window length
+  e.g. RATE_LIMIT_LOGIN_MAX=20. Lockout per email or username:
+    LOGIN_LOCKOUT_THRESHOLD  failed logins before a lockout, default 5
+    LOGIN_LOCKOUT_MINUTES    lockout length, default 15
+*/
+
+const DEFAULT_LIMITS = {
+  login: { max: 10, windowMinutes: 15 },
+  register: { max: 5, windowMinutes: 60 },
+  passwordReset: { max: 5, windowMinutes: 60 },
+  booking: { max: 20, windowMinutes: 60 },
+  message: { max: 30, windowMinutes: 5 },
+};
+
+const toEnvName = (name) => name.replace(/([A-Z])/g, "_$1").toUpperCase();
+
+const getRateLimit = (name) => {
+  const defaults = DEFAULT_LIMITS[name];
+  const envName = toEnvName(name);
+  const max =
+    parseInt(process.env[`RATE_LIMIT_${envName}_MAX`]) || defaults.max;
+  const windowMinutes =
+    parseFloat(process.env[`RATE_LIMIT_${envName}_WINDOW_MINUTES`]) ||
+    defaults.windowMinutes;
+  return { name, max, windowMs: windowMinutes * 60 * 1000 };
+};
+
+const loginLockout = {
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  minutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+};
+
+module.exports = { getRateLimit, loginLockout };
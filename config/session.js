@@ -0,0 +1,66 @@
+/*
+=================================================================
+                      SESSION CONFIGURATION
+=================================================================
+  SESSION_SECRET         one secret, or several comma-separated (the first
+                         signs new cookies, the others are still accepted)
+  SESSION_STORE          "mysql" (default) or "memory"
+  SESSION_COOKIE_SECURE  "true", "false" (default) or "auto"
+  SESSION_SAME_SITE      "lax" (default), "strict" or "none"
+  SESSION_MAX_AGE_HOURS  cookie and store lifetime, default 168 (7 days)
+*/
+
+const crypto = require("crypto");
+const session = require("express-session");
+
+const SAME_SITE_VALUES = ["lax", "strict", "none"];
+
+const parseSecure = (value) => {
+  if (value === "auto") return "auto";
+  return value === "true";
+};
+
+const getSessionSecrets = () => {
+  const secrets = (process.env.SESSION_SECRET || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  if (secrets.length > 0) return secrets;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production.");
+  }
+  // Development only: sessions will not survive a restart
+  console.warn("\tSESSION_SECRET is not set, using a random secret.");
+  return [crypto.randomBytes(32).toString("hex")];
+};
+
+const createSessionStore = () => {
+  if (process.env.SESSION_STORE === "memory") return new session.MemoryStore();
+  const { MySqlSessionStore } = require("../DB/sessionStore.js");
+  return new MySqlSessionStore();
+};
+
+const buildSessionOptions = () => {
+  const sameSite = (process.env.SESSION_SAME_SITE || "lax").toLowerCase();
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    throw new Error(
+      `SESSION_SAME_SITE must be one of: ${SAME_SITE_VALUES.join(", ")}.`
+    );
+  }
+  const maxAgeHours = parseFloat(process.env.SESSION_MAX_AGE_HOURS) || 168;
+
+  return {
+    secret: getSessionSecrets(),
+    store: createSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      secure: parseSecure(process.env.SESSION_COOKIE_SECURE),
+      sameSite,
+      maxAge: maxAgeHours * 60 * 60 * 1000,
+    },
+  };
+};
+
+module.exports = { buildSessionOptions };
@@ -0,0 +1,29 @@
+/*
+=================================================================
+                    API TOKEN CONFIGURATION
+=================================================================
+  ACCESS_TOKEN_SECRET       HMAC secret for access tokens
+  ACCESS_TOKEN_TTL_MINUTES  access token lifetime, default 15
+  REFRESH_TOKEN_TTL_DAYS    refresh token lifetime, default 30
+*/
+
+const crypto = require("crypto");
+
+const getAccessTokenSecret = () => {
+  if (process.env.ACCESS_TOKEN_SECRET) return process.env.ACCESS_TOKEN_SECRET;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("ACCESS_TOKEN_SECRET must be set in production.");
+  }
+  // Development only: issued tokens stop working after a restart
+  console.warn("\tACCESS_TOKEN_SECRET is not set, using a random secret.");
+  return crypto.randomBytes(32).toString("hex");
+};
+
+const tokenConfig = {
+  accessTokenSecret: getAccessTokenSecret(),
+  accessTokenTtlSeconds:
+    (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60,
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+};
+
+module.exports = { tokenConfig };
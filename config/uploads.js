@@ -0,0 +1,22 @@
+/*
+=================================================================
+                    IMAGE UPLOAD CONFIGURATION
+=================================================================
+  UPLOAD_MAX_FILE_SIZE_MB    largest accepted image, default 5
+  UPLOAD_MAX_IMAGE_PIXELS    largest accepted width or height, default 6000
+  UPLOAD_MIN_IMAGE_PIXELS    smallest accepted width or height, default 100
+*/
+
+const uploadConfig = {
+  maxFileSizeBytes:
+    (parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5) * 1024 * 1024,
+  maxDimension: parseInt(process.env.UPLOAD_MAX_IMAGE_PIXELS) || 6000,
+  minDimension: parseInt(process.env.UPLOAD_MIN_IMAGE_PIXELS) || 100,
+  // Resized copies written next to every listing image (longest side in px)
+  renditions: {
+    thumbnail: 320,
+    medium: 1024,
+  },
+};
+
+module.exports = { uploadConfig };
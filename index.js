@@ -10,16 +10,20 @@ require("dotenv").config();
 //                      Session token
 // ===============================================================
 const session = require("express-session");
+const { buildSessionOptions } = require("./config/session.js");
+const { tokenConfig } = require("./config/tokens.js");
+const { createBearerAuth } = require("./middleware/bearerAuth.js");
 
 app.set("trust proxy", 1); // trust first proxy
+const sessionOptions = buildSessionOptions();
+// Bearer tokens (mobile / partner clients) take precedence over the cookie
 app.use(
-  session({
-    secret: "some secret",
-    resave: true,
-    saveUninitialized: true,
-    cookie: { secure: false },
+  createBearerAuth({
+    secret: tokenConfig.accessTokenSecret,
+    sessionStore: sessionOptions.store,
   })
 );
+app.use(session(sessionOptions));
 
 //Some configurations
 app.use(express.urlencoded({ extended: true }));
@@ -65,7 +69,18 @@ console.log("\tMiddleware and imports loaded successfully!");
 // ===============================================================
 
 app.use(express.json()); // Parse JSON bodies (as sent by API clients)
-app.use("/uploads", express.static("uploads"));
+// Only the local storage driver serves files itself (see services/storage.js).
+// Uploads are re-encoded images; nosniff stops browsers from guessing other types
+if (process.env.STORAGE_DRIVER !== "s3") {
+  app.use(
+    "/uploads",
+    express.static(process.env.STORAGE_LOCAL_DIR || "uploads", {
+      index: false,
+      dotfiles: "deny",
+      setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+    })
+  );
+}
 console.log("\tImporting routes...");
 
 const authRoutes = require("./routes/userAuthentication.js"); //user login, register, etc.
@@ -74,11 +89,38 @@ app.use("/auth", authRoutes);
 const listingRoutes = require("./routes/listing.js"); // search, searchall
 app.use("/listings", listingRoutes);
 
+const userRoutes = require("./routes/users.js"); // public profiles, reviews
+app.use("/users", userRoutes);
+
+const categoryRoutes = require("./routes/categories.js"); // item categories
+app.use("/categories", categoryRoutes);
+
+const conversationRoutes = require("./routes/conversations.js"); // seeker-provider messaging
+app.use("/conversations", conversationRoutes);
+
+const notificationRoutes = require("./routes/notifications.js"); // in-app notifications, SSE stream
+app.use("/notifications", notificationRoutes);
+
+const adminRoutes = require("./routes/admin.js"); // moderation console
+app.use("/admin", adminRoutes);
+
 app.get("/", (req, res) => {
   res.send("hola DB Tutorial");
 });
 console.log("\tImported all routes successfully!");
 
+// ===============================================================
+//                      Background jobs
+// ===============================================================
+const { createBookingScheduler } = require("./services/bookingScheduler.js");
+
+const bookingScheduler = createBookingScheduler({
+  dataPool: authDataPool,
+  intervalMs:
+    (parseInt(process.env.BOOKING_SCHEDULER_INTERVAL_MINUTES) || 15) * 60000,
+  pendingTtlHours: parseInt(process.env.BOOKING_PENDING_TTL_HOURS) || 72,
+});
+
 // ===============================================================
 //                      App init
 // ===============================================================
@@ -87,4 +129,5 @@ const host = "0.0.0.0";
 app.listen(process.env.PORT || port, host, () => {
   console.log(`--Server is running on port: ${process.env.PORT || port}`);
   console.log(`--Server is running on host: ${host}`);
+  bookingScheduler.start();
 });
@@ -0,0 +1,73 @@
+/*
+=================================================================
+                    AUTHORIZATION MIDDLEWARE
+=================================================================
+*/
+
+const { authDataPool } = require("../DB/dbConn.js");
+
+// Checks the session and loads the current user from the DB, so role changes
+// and suspensions apply without logging in again. Populates
+// req.user = { userId, role, isVerified }.
+const loadUser = async (req, res, next) => {
+  if (!req.session.userId) {
+    return res
+      .status(401)
+      .json({ success: false, message: "You must be logged in." });
+  }
+  try {
+    const users = await authDataPool.getUserById(req.session.userId);
+    if (users.length === 0 || users[0].DeletedAt) {
+      return res
+        .status(401)
+        .json({ success: false, message: "You must be logged in." });
+    }
+    if (users[0].IsSuspended) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Your account has been suspended." });
+    }
+    req.user = {
+      userId: users[0].UserID,
+      role: users[0].Role,
+      isVerified: Boolean(users[0].IsVerified),
+    };
+    next();
+  } catch (error) {
+    console.error("Error loading user for authorization:", error);
+    res.status(500).json({ success: false, message: "Server error." });
+  }
+};
+
+// Rejects requests without a logged-in, non-suspended user
+const requireAuth = [loadUser];
+
+// requireRole("Provider"), requireRole("Admin", "Provider"), ...
+const requireRole = (...roles) => [
+  ...requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action.",
+      });
+    }
+    next();
+  },
+];
+
+// Provider-only routes also need a verified account
+const requireProvider = [
+  ...requireRole("Provider"),
+  (req, res, next) => {
+    if (!req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account must be verified to manage listings.",
+      });
+    }
+    next();
+  },
+];
+
+module.exports = { requireAuth, requireRole, requireProvider };
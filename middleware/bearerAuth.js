@@ -0,0 +1,41 @@
+/*
+=================================================================
+                    BEARER TOKEN MIDDLEWARE
+=================================================================
+  Lets API clients authenticate with "Authorization: Bearer <token>"
+  instead of the session cookie. Must be mounted BEFORE
+  express-session: a pre-set req.session makes express-session skip
+  the request, so routes keep reading req.session.userId and token
+  clients never get a cookie.
+*/
+
+const { verifyAccessToken } = require("../services/accessTokens.js");
+
+// Request-scoped stand-in for an express-session session
+const createTokenSession = (userId) => ({
+  userId,
+  regenerate: (callback) => callback(),
+  destroy: (callback) => callback(),
+  save: (callback) => callback && callback(),
+  touch: () => {},
+});
+
+const createBearerAuth =
+  ({ secret, sessionStore }) =>
+  (req, res, next) => {
+    const header = req.get("Authorization");
+    if (!header || !header.startsWith("Bearer ")) return next();
+
+    const claims = verifyAccessToken(header.slice(7).trim(), secret);
+    if (!claims) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired access token." });
+    }
+    req.session = createTokenSession(claims.sub);
+    req.sessionStore = sessionStore;
+    req.authMethod = "token";
+    next();
+  };
+
+module.exports = { createBearerAuth };
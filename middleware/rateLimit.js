@@ -0,0 +1,73 @@
+/*
+=================================================================
+                    RATE LIMIT MIDDLEWARE
+=================================================================
+*/
+
+const { createMemoryRateLimitStore } = require("../services/rateLimitStore.js");
+
+const defaultStore = createMemoryRateLimitStore();
+
+// Key builders for the "keys" option
+const byIp = (req) => `ip:${req.ip}`;
+const byUser = (req) =>
+  req.session && req.session.userId ? `user:${req.session.userId}` : null;
+const byBodyField = (field) => (req) => {
+  const value = req.body && req.body[field];
+  return typeof value === "string" && value.trim()
+    ? `${field}:${value.trim().toLowerCase()}`
+    : null;
+};
+
+// createRateLimiter({ name: "login", windowMs, max, keys: [byIp, byBodyField("identifier")] })
+// Every key gets its own counter; exceeding any of them answers 429.
+const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keys = [byIp],
+  store = defaultStore,
+}) => {
+  return async (req, res, next) => {
+    try {
+      const counterKeys = keys
+        .map((getKey) => getKey(req))
+        .filter(Boolean)
+        .map((key) => `${name}:${key}`);
+      const counters = await Promise.all(
+        counterKeys.map((key) => store.increment(key, windowMs))
+      );
+      const exceeded = counters.filter((counter) => counter.count > max);
+      if (exceeded.length > 0) {
+        const resetAt = Math.max(...exceeded.map((counter) => counter.resetAt));
+        return sendTooManyRequests(
+          res,
+          Math.ceil((resetAt - Date.now()) / 1000)
+        );
+      }
+      next();
+    } catch (error) {
+      // Throttling must never take the route down with it
+      console.error(`Rate limiter "${name}" failed:`, error);
+      next();
+    }
+  };
+};
+
+const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+  const retryAfter = Math.max(retryAfterSeconds, 1);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: message || "Too many requests. Please try again later.",
+    retryAfter,
+  });
+};
+
+module.exports = {
+  createRateLimiter,
+  sendTooManyRequests,
+  byIp,
+  byUser,
+  byBodyField,
+};
@@ -0,0 +1,140 @@
+/*
+=================================================================
+                    IMAGE UPLOAD MIDDLEWARE
+=================================================================
+  Drop-in replacement for multer's single()/array(). Files are held
+  in memory, checked and re-encoded by services/imageProcessing.js
+  and only then written to the storage driver. Each stored file gets:
+    file.key         <prefix>-<id>.<ext>
+    file.renditions  { thumbnail: "<prefix>-<id>-thumbnail.<ext>", ... }
+*/
+
+const multer = require("multer");
+const { uploadConfig } = require("../config/uploads.js");
+const { processImage } = require("../services/imageProcessing.js");
+const { storage } = require("../services/storage.js");
+
+const getStoredKeys = (file) => [
+  file.key,
+  ...Object.values(file.renditions || {}),
+];
+
+// Removes stored files; failures are logged so cleanup never breaks a response
+const removeStoredFiles = (keys) =>
+  Promise.all(
+    keys.filter(Boolean).map((key) =>
+      storage.remove(key).catch(() => {
+        console.error("Could not remove upload:", key);
+      })
+    )
+  );
+
+// Removes every stored file (and its renditions) of the current request,
+// e.g. after validation failed or the DB transaction was rolled back
+const removeUploadedFiles = (req) =>
+  removeStoredFiles(
+    [].concat(req.files || [], req.file || []).flatMap(getStoredKeys)
+  );
+
+const writeImage = async (file, prefix, renditions) => {
+  const processed = await processImage(file.buffer, {
+    minDimension: uploadConfig.minDimension,
+    maxDimension: uploadConfig.maxDimension,
+    renditions,
+  });
+  if (!processed.success) return processed;
+
+  const { extension, mimeType, original } = processed.data;
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const baseName = `${prefix}-${uniqueSuffix}`;
+  const toKey = (suffix) => `${baseName}${suffix}.${extension}`;
+
+  const written = [];
+  try {
+    const originalKey = toKey("");
+    await storage.put(originalKey, original, mimeType);
+    written.push(originalKey);
+    const renditionKeys = {};
+    for (const [name, buffer] of Object.entries(processed.data.renditions)) {
+      renditionKeys[name] = toKey(`-${name}`);
+      await storage.put(renditionKeys[name], buffer, mimeType);
+      written.push(renditionKeys[name]);
+    }
+
+    delete file.buffer;
+    Object.assign(file, {
+      key: originalKey,
+      mimetype: mimeType,
+      size: original.length,
+      renditions: renditionKeys,
+    });
+    return { success: true };
+  } catch (error) {
+    await removeStoredFiles(written);
+    throw error;
+  }
+};
+
+const sendUploadError = (res, field, message, status = 400) =>
+  res.status(status).json({
+    success: false,
+    message,
+    errors: field ? { [field]: message } : undefined,
+  });
+
+const describeMulterError = (err) => {
+  if (err.code === "LIMIT_FILE_SIZE") {
+    const maxMb = uploadConfig.maxFileSizeBytes / (1024 * 1024);
+    return { status: 413, message: `Images may be at most ${maxMb} MB.` };
+  }
+  if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+    return { status: 400, message: "Too many files or unexpected file field." };
+  }
+  return { status: 400, message: "Invalid file upload." };
+};
+
+// createImageUpload({ prefix: "listingImages", renditions: uploadConfig.renditions })
+// returns { single(field), array(field, maxCount) } like a multer instance
+const createImageUpload = ({ prefix, renditions = {} }) => {
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploadConfig.maxFileSizeBytes },
+  });
+
+  const handle = (parse) => (req, res, next) => {
+    parse(req, res, async (err) => {
+      if (err instanceof multer.MulterError) {
+        const { status, message } = describeMulterError(err);
+        return sendUploadError(res, err.field, message, status);
+      }
+      if (err) return next(err);
+
+      const files = [].concat(req.files || [], req.file || []);
+      const stored = [];
+      try {
+        for (const file of files) {
+          const result = await writeImage(file, prefix, renditions);
+          if (!result.success) {
+            await removeStoredFiles(stored.flatMap(getStoredKeys));
+            return sendUploadError(res, file.fieldname, result.message);
+          }
+          stored.push(file);
+        }
+      } catch (error) {
+        console.error("Error storing upload:", error);
+        await removeStoredFiles(stored.flatMap(getStoredKeys));
+        return res
+          .status(500)
+          .json({ success: false, message: "Could not store the upload." });
+      }
+      next();
+    });
+  };
+
+  return {
+    single: (field) => handle(parser.single(field)),
+    array: (field, maxCount) => handle(parser.array(field, maxCount)),
+  };
+};
+
+module.exports = { createImageUpload, removeUploadedFiles, removeStoredFiles };
@@ -0,0 +1,120 @@
+/*
+=================================================================
+                    REQUEST VALIDATION MIDDLEWARE
+=================================================================
+  A schema is { fields: { name: rule }, check?: (body) => errors }.
+  A rule can have:
+    required, type ("string" | "number" | "integer" | "date" | "array" |
+    "boolean"), min, max, minLength, maxLength, pattern, oneOf,
+    each (item) => message | null   (arrays only),
+    validate (value, body) => true | message,
+    message (used when pattern/validate fail without their own message)
+  Invalid requests get 400 { success: false, message, errors: { field: message } }.
+*/
+
+const validator = require("validator");
+const { parseDay } = require("../services/availability.js");
+const { removeUploadedFiles } = require("./upload.js");
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const checkType = (rule, value) => {
+  switch (rule.type) {
+    case "number":
+      if (!validator.isFloat(String(value))) return "Must be a number.";
+      if (rule.min !== undefined && parseFloat(value) < rule.min)
+        return `Must be at least ${rule.min}.`;
+      if (rule.max !== undefined && parseFloat(value) > rule.max)
+        return `Must be at most ${rule.max}.`;
+      return null;
+    case "integer":
+      if (!validator.isInt(String(value))) return "Must be a whole number.";
+      if (rule.min !== undefined && parseInt(value) < rule.min)
+        return `Must be at least ${rule.min}.`;
+      if (rule.max !== undefined && parseInt(value) > rule.max)
+        return `Must be at most ${rule.max}.`;
+      return null;
+    case "date":
+      return parseDay(value) ? null : "Must be a valid date.";
+    case "boolean":
+      return typeof value === "boolean" || value === "true" || value === "false"
+        ? null
+        : "Must be true or false.";
+    case "array": {
+      if (!Array.isArray(value)) return "Must be a list.";
+      if (rule.min !== undefined && value.length < rule.min)
+        return `Must contain at least ${rule.min} item(s).`;
+      if (rule.max !== undefined && value.length > rule.max)
+        return `Must contain at most ${rule.max} item(s).`;
+      if (rule.each) {
+        for (let i = 0; i < value.length; i++) {
+          const itemError = rule.each(value[i]);
+          if (itemError) return `Item ${i + 1}: ${itemError}`;
+        }
+      }
+      return null;
+    }
+    default: {
+      if (typeof value !== "string") return "Must be text.";
+      const length = value.trim().length;
+      if (rule.minLength !== undefined && length < rule.minLength)
+        return `Must be at least ${rule.minLength} characters.`;
+      if (rule.maxLength !== undefined && length > rule.maxLength)
+        return `Must be at most ${rule.maxLength} characters.`;
+      if (rule.pattern && !rule.pattern.test(value))
+        return rule.message || "Has an invalid format.";
+      return null;
+    }
+  }
+};
+
+const checkRule = (rule, value, body) => {
+  const typeError = checkType(rule, value);
+  if (typeError) return typeError;
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `Must be one of: ${rule.oneOf.join(", ")}.`;
+  }
+  if (rule.validate) {
+    const result = rule.validate(value, body);
+    if (result !== true) return result || rule.message || "Is invalid.";
+  }
+  return null;
+};
+
+// Returns { field: message } for every invalid field, or null
+const validateSchema = (schema, body) => {
+  const errors = {};
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const value = body[field];
+    if (isEmpty(value)) {
+      if (rule.required) errors[field] = "This field is required.";
+      return;
+    }
+    const error = checkRule(rule, value, body);
+    if (error) errors[field] = error;
+  });
+  // Cross-field checks only run once every field is valid on its own
+  if (Object.keys(errors).length === 0 && schema.check) {
+    Object.assign(errors, schema.check(body) || {});
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+const sendValidationErrors = (res, errors) =>
+  res
+    .status(400)
+    .json({ success: false, message: "Validation failed.", errors });
+
+const validateBody = (schema) => (req, res, next) => {
+  const errors = validateSchema(schema, req.body || {});
+  if (errors) {
+    removeUploadedFiles(req);
+    return sendValidationErrors(res, errors);
+  }
+  next();
+};
+
+module.exports = { validateBody, validateSchema, sendValidationErrors };
@@ -0,0 +1,225 @@
+const express = require("express");
+const router = express.Router();
+const { authDataPool } = require("../DB/dbConn.js");
+const { requireRole } = require("../middleware/auth.js");
+const { getResultStatus, parsePagination } = require("../utils/http.js");
+const { validateBody } = require("../middleware/validate.js");
+const {
+  createCategorySchema,
+  updateCategorySchema,
+} = require("../schemas/category.js");
+
+// ===============================================================
+//                      ADMIN MODERATION ROUTES
+// ===============================================================
+
+// Every route in this router is Admin-only
+router.use(requireRole("Admin"));
+
+// GET /admin/users?q=&role=&suspended=&page=&pageSize= - Lists and searches users
+router.get("/users", async (req, res) => {
+  const { q, role, suspended } = req.query;
+  try {
+    const { users, pagination } = await authDataPool.searchUsers({
+      q,
+      role,
+      suspended: suspended === undefined ? undefined : suspended === "true",
+      ...parsePagination(req.query),
+    });
+    res.json({ success: true, data: users, pagination });
+  } catch (error) {
+    console.error("Error searching users:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch users." });
+  }
+});
+
+// POST /admin/users/:id/suspend - Suspends an account
+router.post("/users/:id/suspend", async (req, res) => {
+  try {
+    const result = await authDataPool.setUserSuspension(
+      req.user.userId,
+      parseInt(req.params.id),
+      true,
+      req.body.reason
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to suspend user." });
+  }
+});
+
+// POST /admin/users/:id/reactivate - Lifts a suspension
+router.post("/users/:id/reactivate", async (req, res) => {
+  try {
+    const result = await authDataPool.setUserSuspension(
+      req.user.userId,
+      parseInt(req.params.id),
+      false
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to reactivate user." });
+  }
+});
+
+// POST /admin/users/:id/verification - Sets IsVerified ({ isVerified: true|false })
+router.post("/users/:id/verification", async (req, res) => {
+  const { isVerified } = req.body;
+  if (typeof isVerified !== "boolean") {
+    return res
+      .status(400)
+      .json({ success: false, message: "isVerified must be true or false." });
+  }
+  try {
+    const result = await authDataPool.setUserVerification(
+      req.user.userId,
+      req.params.id,
+      isVerified
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update verification." });
+  }
+});
+
+// Shared handler for the listing moderation routes below
+const setListingStatus = (status) => async (req, res) => {
+  try {
+    const result = await authDataPool.setListingModerationStatus(
+      req.user.userId,
+      req.params.id,
+      status,
+      req.body && req.body.reason
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update listing." });
+  }
+};
+
+// POST /admin/listings/:id/hide - Hides a listing from public search
+router.post("/listings/:id/hide", setListingStatus("Hidden"));
+
+// POST /admin/listings/:id/restore - Makes a hidden or removed listing Active again
+router.post("/listings/:id/restore", setListingStatus("Active"));
+
+// DELETE /admin/listings/:id - Removes a listing (kept in the DB for its bookings)
+router.delete("/listings/:id", setListingStatus("Removed"));
+
+// POST /admin/bookings/:id/cancel - Force-cancels a booking
+router.post("/bookings/:id/cancel", async (req, res) => {
+  try {
+    const result = await authDataPool.forceCancelBooking(
+      req.user.userId,
+      req.params.id,
+      req.body.reason
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to cancel booking." });
+  }
+});
+
+// GET /admin/categories - Lists all categories, including deleted ones
+router.get("/categories", async (req, res) => {
+  try {
+    const categories = await authDataPool.getCategories({
+      includeInactive: true,
+    });
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch categories." });
+  }
+});
+
+// POST /admin/categories - Creates a category
+router.post(
+  "/categories",
+  validateBody(createCategorySchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.createCategory(
+        req.user.userId,
+        req.body
+      );
+      res.status(getResultStatus(result, 201)).json(result);
+    } catch (error) {
+      console.error("Error creating category:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to create category." });
+    }
+  }
+);
+
+// PUT /admin/categories/:id - Renames, describes or reactivates a category
+router.put(
+  "/categories/:id",
+  validateBody(updateCategorySchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.updateCategory(
+        req.user.userId,
+        req.params.id,
+        req.body
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      console.error("Error updating category:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update category." });
+    }
+  }
+);
+
+// DELETE /admin/categories/:id - Deactivates a category (kept for past bookings)
+router.delete("/categories/:id", async (req, res) => {
+  try {
+    const result = await authDataPool.deleteCategory(
+      req.user.userId,
+      req.params.id
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to delete category." });
+  }
+});
+
+// GET /admin/audit-log?adminId=&action=&targetType=&targetId=&page=&pageSize=
+router.get("/audit-log", async (req, res) => {
+  const { adminId, action, targetType, targetId } = req.query;
+  try {
+    const { entries, pagination } = await authDataPool.getAdminAuditLog({
+      adminId,
+      action,
+      targetType,
+      targetId,
+      ...parsePagination(req.query),
+    });
+    res.json({ success: true, data: entries, pagination });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch audit log." });
+  }
+});
+
+module.exports = router;
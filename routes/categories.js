@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { authDataPool } = require("../DB/dbConn.js");
+
+// ===============================================================
+//                      PUBLIC CATEGORY ROUTES
+// ===============================================================
+
+// GET /categories - Lists the active item categories for ItemSlot bookings
+router.get("/", async (req, res) => {
+  try {
+    const categories = await authDataPool.getCategories();
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch categories." });
+  }
+});
+
+module.exports = router;
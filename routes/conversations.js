@@ -0,0 +1,153 @@
+const express = require("express");
+const router = express.Router();
+const { authDataPool } = require("../DB/dbConn.js");
+const { getResultStatus, parsePagination } = require("../utils/http.js");
+const { requireAuth } = require("../middleware/auth.js");
+const { validateBody } = require("../middleware/validate.js");
+const { createRateLimiter, byUser } = require("../middleware/rateLimit.js");
+const { getRateLimit } = require("../config/rateLimits.js");
+const {
+  startConversationSchema,
+  sendMessageSchema,
+} = require("../schemas/conversation.js");
+
+const messageLimiter = createRateLimiter({
+  ...getRateLimit("message"),
+  keys: [byUser],
+});
+
+// ===============================================================
+//                      MESSAGING ROUTES
+// ===============================================================
+// Only the seeker and the provider of a conversation can see it; anyone
+// else gets a 404.
+
+// GET /conversations - The user's conversations with unread counts
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const conversations = await authDataPool.getConversations(
+      req.session.userId
+    );
+    const unread = conversations.reduce(
+      (sum, conversation) => sum + conversation.UnreadCount,
+      0
+    );
+    res.json({ success: true, data: conversations, unread });
+  } catch (error) {
+    console.error("Error fetching conversations:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch conversations." });
+  }
+});
+
+// GET /conversations/unread - Total unread messages, for badges
+router.get("/unread", requireAuth, async (req, res) => {
+  try {
+    const unread = await authDataPool.getUnreadMessageCount(req.session.userId);
+    res.json({ success: true, data: { unread } });
+  } catch (error) {
+    console.error("Error counting unread messages:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to count unread messages." });
+  }
+});
+
+// POST /conversations - Starts (or continues) the thread about a listing or
+// a booking: { listingId | bookingId, message }
+router.post(
+  "/",
+  requireAuth,
+  messageLimiter,
+  validateBody(startConversationSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.startConversation(
+        req.session.userId,
+        req.body
+      );
+      const successStatus = result.success && result.data.created ? 201 : 200;
+      res.status(getResultStatus(result, successStatus)).json(result);
+    } catch (error) {
+      console.error("Error starting conversation:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to start conversation." });
+    }
+  }
+);
+
+// GET /conversations/:id - Conversation details and the other participant
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.getConversation(
+      req.params.id,
+      req.session.userId
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    console.error("Error fetching conversation:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch conversation." });
+  }
+});
+
+// GET /conversations/:id/messages?page=&pageSize= - page 1 holds the newest messages
+router.get("/:id/messages", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.getConversationMessages(
+      req.params.id,
+      req.session.userId,
+      parsePagination(req.query, 50)
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch messages." });
+  }
+});
+
+// POST /conversations/:id/messages - { message }
+router.post(
+  "/:id/messages",
+  requireAuth,
+  messageLimiter,
+  validateBody(sendMessageSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.sendMessage(
+        req.params.id,
+        req.session.userId,
+        req.body.message
+      );
+      res.status(getResultStatus(result, 201)).json(result);
+    } catch (error) {
+      console.error("Error sending message:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to send message." });
+    }
+  }
+);
+
+// PUT /conversations/:id/read - Marks the other participant's messages as read
+router.put("/:id/read", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.markConversationRead(
+      req.params.id,
+      req.session.userId
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    console.error("Error marking conversation as read:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update conversation." });
+  }
+});
+
+module.exports = router;
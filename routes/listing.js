@@ -1,103 +1,171 @@
 const express = require("express");
 const router = express.Router();
-const multer = require("multer");
-const path = require("path");
 const { authDataPool } = require("../DB/dbConn.js");
+const {
+  MAX_CALENDAR_DAYS,
+  toDayKey,
+  parseDay,
+  addDays,
+} = require("../services/availability.js");
+const {
+  parseSearchQuery,
+  parseNearbyQuery,
+} = require("../services/listingSearch.js");
+const { parseProviderBookingQuery } = require("../services/bookingSearch.js");
+const {
+  parseStatsQuery,
+  buildProviderStats,
+  toStatsCsv,
+} = require("../services/providerStats.js");
+const { getResultStatus } = require("../utils/http.js");
+const { requireAuth, requireProvider } = require("../middleware/auth.js");
+const { validateBody } = require("../middleware/validate.js");
+const {
+  createImageUpload,
+  removeUploadedFiles,
+  removeStoredFiles,
+} = require("../middleware/upload.js");
+const { uploadConfig } = require("../config/uploads.js");
+const {
+  LISTING_STATUS,
+  isListingVisibleTo,
+} = require("../services/listingLifecycle.js");
+const { createRateLimiter, byUser } = require("../middleware/rateLimit.js");
+const { getRateLimit } = require("../config/rateLimits.js");
+const {
+  createListingSchema,
+  updateListingSchema,
+  reorderImagesSchema,
+  listingCategoriesSchema,
+  bulkBookingStatusSchema,
+  createBookingSchema,
+} = require("../schemas/listing.js");
 
-// Multer Configuration for File Uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/");
-  },
-  filename: function (req, file, cb) {
-    // Create a unique filename to prevent overwrites.
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      file.fieldname + "-" + uniqueSuffix + path.extname(file.originalname)
-    );
-  },
+// Listing images are validated, stripped of metadata and resized
+const upload = createImageUpload({
+  prefix: "listingImages",
+  renditions: uploadConfig.renditions,
 });
 
-const upload = multer({ storage: storage });
+const bookingLimiter = createRateLimiter({
+  ...getRateLimit("booking"),
+  keys: [byUser],
+});
 
 // ===============================================================
 //                      LISTING ROUTES
 // ===============================================================
 
-// GET /listings/all - Fetches all listings
-router.get("/all", async (req, res) => {
+// Validates the query string and runs the listing search
+const sendListingSearch = async (req, res, errorMessage) => {
+  const parsed = parseSearchQuery(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid search parameters.",
+      errors: parsed.errors,
+    });
+  }
   try {
-    const listings = await authDataPool.getAllListings();
-    res.json({ success: true, data: listings });
+    const { listings, pagination } = await authDataPool.searchListings(
+      parsed.filters
+    );
+    res.json({ success: true, data: listings, pagination });
   } catch (error) {
-    res
-      .status(500)
-      .json({ success: false, message: "Failed to fetch listings." });
+    console.error(`${errorMessage}:`, error);
+    res.status(500).json({ success: false, message: errorMessage });
   }
-});
+};
 
-// GET /listings/search?q=... - Searches for listings
-router.get("/search", async (req, res) => {
-  const { q } = req.query;
-  if (!q) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Search query is required." });
+// GET /listings/all?page=&pageSize= - Fetches all listings, newest first
+router.get("/all", (req, res) =>
+  sendListingSearch(req, res, "Failed to fetch listings.")
+);
+
+// GET /listings/search?q=&storageType=&minPrice=&maxPrice=&priceUnit=&minSlots=
+//   &minSqm=&from=&to=&sort=&page=&pageSize= - Searches for listings
+router.get("/search", (req, res) =>
+  sendListingSearch(req, res, "Failed to search listings.")
+);
+
+// GET /listings/nearby?lat=&lng=&radiusKm=&limit= - Listings ordered by distance
+router.get("/nearby", async (req, res) => {
+  const parsed = parseNearbyQuery(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid search parameters.",
+      errors: parsed.errors,
+    });
   }
   try {
-    const listings = await authDataPool.searchListings(q);
+    const listings = await authDataPool.getNearbyListings(parsed.filters);
     res.json({ success: true, data: listings });
   } catch (error) {
+    console.error("Error fetching nearby listings:", error);
     res
       .status(500)
-      .json({ success: false, message: "Failed to search listings." });
+      .json({ success: false, message: "Failed to fetch nearby listings." });
   }
 });
 
 // POST /listings/create - Creates a new listing
-router.post("/create", upload.array("listingImages", 4), async (req, res) => {
-  if (!req.session.userId) {
-    return res
-      .status(401)
-      .json({ success: false, message: "You must be logged in." });
-  }
+router.post(
+  "/create",
+  requireProvider,
+  upload.array("listingImages", 4),
+  validateBody(createListingSchema),
+  async (req, res) => {
+    const listingData = req.body;
+    const imageFiles = req.files;
 
-  const listingData = req.body;
-  const imageFiles = req.files;
-
-  if (!imageFiles || imageFiles.length === 0) {
-    return res
-      .status(400)
-      .json({ success: false, message: "At least one image is required." });
-  }
+    if (!imageFiles || imageFiles.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "At least one image is required." });
+    }
 
-  // Add user ID and the array of image info to the data object
-  listingData.providerId = req.session.userId;
-  listingData.images = imageFiles.map((file) => ({
-    path: file.path,
-    isPrimary: file.originalname === listingData.primaryImageName, // Check if this is the primary image
-  }));
+    // Add user ID and the array of image info to the data object
+    listingData.providerId = req.session.userId;
+    listingData.images = imageFiles.map((file) => ({
+      path: file.key,
+      thumbnailPath: file.renditions.thumbnail,
+      mediumPath: file.renditions.medium,
+      isPrimary: file.originalname === listingData.primaryImageName, // Check if this is the primary image
+    }));
 
-  try {
-    const result = await authDataPool.createListing(listingData);
-    if (result.success) {
-      res.status(201).json(result);
-    } else {
-      res.status(400).json(result);
+    try {
+      const result = await authDataPool.createListing(listingData);
+      if (result.success) {
+        res.status(201).json(result);
+      } else {
+        // The transaction was rolled back, so nothing references the files
+        await removeUploadedFiles(req);
+        res.status(400).json(result);
+      }
+    } catch (error) {
+      console.error("Error creating listing:", error);
+      await removeUploadedFiles(req);
+      res
+        .status(500)
+        .json({ success: false, message: "Internal server error." });
     }
-  } catch (error) {
-    console.error("Error creating listing:", error);
-    res.status(500).json({ success: false, message: "Internal server error." });
   }
-});
+);
 
 // GET /listings/:id - Fetches a single detailed listing
 router.get("/:id", async (req, res) => {
   try {
     const { id } = req.params;
     const listing = await authDataPool.getListingById(id);
-    if (listing) {
+    if (listing && isListingVisibleTo(listing, req.session.userId)) {
+      listing.Reviews = await authDataPool.getReviewsByListing(id);
+      if (listing.StorageType === "ItemSlot") {
+        const { acceptsAllCategories, categories } =
+          await authDataPool.getListingCategories(id);
+        listing.AcceptsAllCategories = acceptsAllCategories;
+        listing.Categories = categories;
+      }
       res.json({ success: true, data: listing });
     } else {
       res.status(404).json({ success: false, message: "Listing not found." });
@@ -110,38 +178,85 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// POST /listings/book - Creates a new booking
-router.post("/book", async (req, res) => {
-  if (!req.session.userId) {
+// GET /listings/:id/availability?from=&to= - Day-by-day remaining capacity
+router.get("/:id/availability", async (req, res) => {
+  const from = parseDay(req.query.from || new Date());
+  const to = req.query.to ? parseDay(req.query.to) : from && addDays(from, 30);
+  if (!from || !to || to < from) {
     return res
-      .status(401)
-      .json({ success: false, message: "You must be logged in to book." });
+      .status(400)
+      .json({ success: false, message: "Invalid date range." });
   }
+  if (to > addDays(from, MAX_CALENDAR_DAYS - 1)) {
+    return res.status(400).json({
+      success: false,
+      message: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days.`,
+    });
+  }
+  try {
+    const availability = await authDataPool.getListingAvailability(
+      req.params.id,
+      toDayKey(from),
+      toDayKey(to),
+      req.session.userId
+    );
+    if (availability) {
+      res.json({ success: true, data: availability });
+    } else {
+      res.status(404).json({ success: false, message: "Listing not found." });
+    }
+  } catch (error) {
+    console.error("Error fetching listing availability:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch availability." });
+  }
+});
 
-  const bookingData = req.body;
-  bookingData.seekerId = req.session.userId;
-
+// POST /listings/:id/quote - Previews the price of a booking request
+router.post("/:id/quote", async (req, res) => {
   try {
-    const result = await authDataPool.createBooking(bookingData);
-    if (result.success) {
-      res.status(201).json(result);
+    const result = await authDataPool.getBookingQuote(req.params.id, req.body);
+    if (!result) {
+      res.status(404).json({ success: false, message: "Listing not found." });
+    } else if (result.success) {
+      res.json(result);
     } else {
-      res.status(400).json(result);
+      res.status(result.reason === "conflict" ? 409 : 400).json(result);
     }
   } catch (error) {
-    console.error("Error creating booking:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error during booking.",
-    });
+    console.error("Error quoting booking:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to calculate price." });
   }
 });
 
-// GET /listings/provider - Fetches all listings for the currently logged-in provider
-router.get("/provider/mine", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+// POST /listings/book - Creates a new booking
+router.post(
+  "/book",
+  requireAuth,
+  bookingLimiter,
+  validateBody(createBookingSchema),
+  async (req, res) => {
+    const bookingData = req.body;
+    bookingData.seekerId = req.session.userId;
+
+    try {
+      const result = await authDataPool.createBooking(bookingData);
+      res.status(getResultStatus(result, 201)).json(result);
+    } catch (error) {
+      console.error("Error creating booking:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during booking.",
+      });
+    }
   }
+);
+
+// GET /listings/provider - Fetches all listings for the currently logged-in provider
+router.get("/provider/mine", requireProvider, async (req, res) => {
   try {
     const listings = await authDataPool.getListingsByProvider(
       req.session.userId
@@ -154,11 +269,93 @@ router.get("/provider/mine", async (req, res) => {
   }
 });
 
-// GET /listings/:id/requests - Fetches booking requests for a specific listing
-router.get("/:id/requests", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+// GET /listings/provider/bookings?status=&listingId=&from=&to=&sort=&page=&pageSize=
+// Bookings across all of the provider's listings
+router.get("/provider/bookings", requireProvider, async (req, res) => {
+  const parsed = parseProviderBookingQuery(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid search parameters.",
+      errors: parsed.errors,
+    });
+  }
+  try {
+    const { bookings, pagination } = await authDataPool.getProviderBookings(
+      req.session.userId,
+      parsed.filters
+    );
+    res.json({ success: true, data: bookings, pagination });
+  } catch (error) {
+    console.error("Error fetching provider bookings:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch bookings." });
+  }
+});
+
+// POST /listings/provider/bookings/bulk - Accepts or rejects several bookings
+router.post(
+  "/provider/bookings/bulk",
+  requireProvider,
+  validateBody(bulkBookingStatusSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.bulkUpdateBookingStatus(
+        req.body.bookingIds.map((id) => parseInt(id)),
+        req.body.status,
+        req.session.userId
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Error updating bookings:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update bookings." });
+    }
+  }
+);
+
+// GET /listings/provider/stats?from=&to=&groupBy=day|week|month&listingId=&format=json|csv
+// Revenue, occupancy, acceptance rate and lead time of the provider's listings
+router.get("/provider/stats", requireProvider, async (req, res) => {
+  const parsed = parseStatsQuery(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid stats parameters.",
+      errors: parsed.errors,
+    });
+  }
+  const { filters } = parsed;
+  try {
+    const { listings, bookings } = await authDataPool.getProviderStatsData(
+      req.session.userId,
+      filters
+    );
+    if (filters.listingId && listings.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Listing not found." });
+    }
+    const stats = buildProviderStats(listings, bookings, filters);
+    if (filters.format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`provider-stats-${filters.from}-${filters.to}.csv`)
+        .send(toStatsCsv(stats));
+    }
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error("Error fetching provider stats:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch statistics." });
   }
+});
+
+// GET /listings/:id/requests - Fetches booking requests for a specific listing
+router.get("/:id/requests", requireProvider, async (req, res) => {
   try {
     const requests = await authDataPool.getBookingRequestsByListing(
       req.params.id,
@@ -173,30 +370,89 @@ router.get("/:id/requests", async (req, res) => {
 });
 
 // POST /listings/bookings/:bookingId/update - Updates the status of a booking
-router.post("/bookings/:bookingId/update", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+router.post(
+  "/bookings/:bookingId/update",
+  requireProvider,
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      const result = await authDataPool.updateBookingStatus(
+        req.params.bookingId,
+        status,
+        req.session.userId
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update booking status." });
+    }
   }
+);
+
+// POST /listings/bookings/:bookingId/cancel - Seeker cancels their own booking
+router.post("/bookings/:bookingId/cancel", requireAuth, async (req, res) => {
   try {
-    const { status } = req.body;
-    const result = await authDataPool.updateBookingStatus(
+    const result = await authDataPool.cancelBookingBySeeker(
       req.params.bookingId,
-      status,
       req.session.userId
     );
-    res.json(result);
+    res.status(getResultStatus(result)).json(result);
   } catch (error) {
     res
       .status(500)
-      .json({ success: false, message: "Failed to update booking status." });
+      .json({ success: false, message: "Failed to cancel booking." });
   }
 });
 
-// GET /listings/seeker/mine - Fetches all bookings for the currently logged-in seeker
-router.get("/seeker/mine", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+// GET /listings/bookings/:bookingId/history - Status changes of a booking
+router.get("/bookings/:bookingId/history", requireAuth, async (req, res) => {
+  try {
+    const history = await authDataPool.getBookingStatusHistory(
+      req.params.bookingId,
+      req.session.userId
+    );
+    res.json({ success: true, data: history });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch booking history." });
+  }
+});
+
+// POST /listings/bookings/:bookingId/review - Reviews the other party of a completed booking
+router.post("/bookings/:bookingId/review", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.createReview(
+      req.params.bookingId,
+      req.session.userId,
+      req.body
+    );
+    res.status(getResultStatus(result, 201)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to submit review." });
   }
+});
+
+// DELETE /listings/reviews/:reviewId - Removes a review written by the current user
+router.delete("/reviews/:reviewId", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.deleteReview(
+      req.params.reviewId,
+      req.session.userId
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to remove review." });
+  }
+});
+
+// GET /listings/seeker/mine - Fetches all bookings for the currently logged-in seeker
+router.get("/seeker/mine", requireAuth, async (req, res) => {
   try {
     const bookings = await authDataPool.getBookingsBySeeker(req.session.userId);
     res.json({ success: true, data: bookings });
@@ -207,23 +463,184 @@ router.get("/seeker/mine", async (req, res) => {
   }
 });
 
-// POST /listings/:id/update - Updates the details of a listing
-router.post("/:id/update", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+// POST /listings/:id/update - Updates the details, capacity and address of a listing
+router.post(
+  "/:id/update",
+  requireProvider,
+  validateBody(updateListingSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.updateListingDetails(
+        req.params.id,
+        req.body,
+        req.session.userId
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      console.error("Error updating listing:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update listing." });
+    }
+  }
+);
+
+// PUT /listings/:id/categories - Sets the item categories a listing accepts
+router.put(
+  "/:id/categories",
+  requireProvider,
+  validateBody(listingCategoriesSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.setListingCategories(
+        req.params.id,
+        req.session.userId,
+        req.body.categories
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      console.error("Error updating listing categories:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update categories." });
+    }
   }
+);
+
+// ===============================================================
+//                      LISTING STATUS ROUTES
+// ===============================================================
+
+// Shared handler for the provider status routes below
+const setOwnListingStatus = (status) => async (req, res) => {
   try {
-    const result = await authDataPool.updateListingDetails(
+    const result = await authDataPool.changeListingStatus(
       req.params.id,
-      req.body,
-      req.session.userId
+      req.session.userId,
+      status
     );
-    res.json(result);
+    res.status(getResultStatus(result)).json(result);
   } catch (error) {
+    console.error("Error changing listing status:", error);
     res
       .status(500)
-      .json({ success: false, message: "Failed to update listing." });
+      .json({ success: false, message: "Failed to update listing status." });
   }
-});
+};
+
+// POST /listings/:id/publish - Makes a draft, paused or archived listing Active
+router.post(
+  "/:id/publish",
+  requireProvider,
+  setOwnListingStatus(LISTING_STATUS.ACTIVE)
+);
+
+// POST /listings/:id/pause - Temporarily stops new bookings
+router.post(
+  "/:id/pause",
+  requireProvider,
+  setOwnListingStatus(LISTING_STATUS.PAUSED)
+);
+
+// POST /listings/:id/archive - Takes a listing off the market
+router.post(
+  "/:id/archive",
+  requireProvider,
+  setOwnListingStatus(LISTING_STATUS.ARCHIVED)
+);
+
+// DELETE /listings/:id - Deletes a listing without open bookings
+router.delete(
+  "/:id",
+  requireProvider,
+  setOwnListingStatus(LISTING_STATUS.DELETED)
+);
+
+// ===============================================================
+//                      LISTING IMAGE ROUTES
+// ===============================================================
+
+// POST /listings/:id/images - Adds images to an owned listing
+router.post(
+  "/:id/images",
+  requireProvider,
+  upload.array("listingImages", 4),
+  async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "At least one image is required." });
+    }
+    const images = req.files.map((file) => ({
+      path: file.key,
+      thumbnailPath: file.renditions.thumbnail,
+      mediumPath: file.renditions.medium,
+    }));
+    try {
+      const result = await authDataPool.addListingImages(
+        req.params.id,
+        req.session.userId,
+        images
+      );
+      if (!result.success) await removeUploadedFiles(req);
+      res.status(getResultStatus(result, 201)).json(result);
+    } catch (error) {
+      console.error("Error adding listing images:", error);
+      await removeUploadedFiles(req);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to add images." });
+    }
+  }
+);
+
+// PUT /listings/:id/images/order - Reorders images and optionally sets the primary one
+router.put(
+  "/:id/images/order",
+  requireProvider,
+  validateBody(reorderImagesSchema),
+  async (req, res) => {
+    const { attachmentIds, primaryAttachmentId } = req.body;
+    try {
+      const result = await authDataPool.reorderListingImages(
+        req.params.id,
+        req.session.userId,
+        attachmentIds.map((id) => parseInt(id)),
+        primaryAttachmentId ? parseInt(primaryAttachmentId) : null
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      console.error("Error reordering listing images:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to reorder images." });
+    }
+  }
+);
+
+// DELETE /listings/:id/images/:attachmentId - Removes an image and its files
+router.delete(
+  "/:id/images/:attachmentId",
+  requireProvider,
+  async (req, res) => {
+    try {
+      const result = await authDataPool.deleteListingImage(
+        req.params.id,
+        parseInt(req.params.attachmentId),
+        req.session.userId
+      );
+      if (!result.success) {
+        return res.status(getResultStatus(result)).json(result);
+      }
+      await removeStoredFiles(result.data.removedKeys);
+      res.json({ success: true, message: result.message });
+    } catch (error) {
+      console.error("Error removing listing image:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to remove image." });
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,145 @@
+const express = require("express");
+const router = express.Router();
+const validator = require("validator");
+const { authDataPool } = require("../DB/dbConn.js");
+const { getResultStatus, parsePagination } = require("../utils/http.js");
+const { requireAuth } = require("../middleware/auth.js");
+const { sendTooManyRequests } = require("../middleware/rateLimit.js");
+const {
+  notificationHub,
+  formatSseEvent,
+} = require("../services/notifications.js");
+
+const HEARTBEAT_MS =
+  (parseInt(process.env.NOTIFICATION_HEARTBEAT_SECONDS) || 25) * 1000;
+const RECONNECT_MS = 5000;
+
+// ===============================================================
+//                      NOTIFICATION ROUTES
+// ===============================================================
+
+// GET /notifications?unread=true&page=&pageSize= - Newest first, with the
+// unread count. The fallback for clients that can't keep a stream open.
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const { notifications, unread, pagination } =
+      await authDataPool.getNotifications(req.session.userId, {
+        unreadOnly: req.query.unread === "true",
+        ...parsePagination(req.query),
+      });
+    res.json({ success: true, data: notifications, unread, pagination });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch notifications." });
+  }
+});
+
+// GET /notifications/stream - Server-Sent Events, authenticated by the
+// session. Sends "unread" with the current count, then a "notification"
+// event per new notification. Notifications missed while disconnected are
+// replayed from the Last-Event-ID header that EventSource sends on reconnect.
+router.get("/stream", requireAuth, async (req, res) => {
+  const userId = req.session.userId;
+  const pending = [];
+  let ready = false;
+  const send = (notification) =>
+    res.write(
+      formatSseEvent("notification", notification, notification.NotificationID)
+    );
+  // Subscribe before catching up, so nothing committed in between is lost
+  const unsubscribe = notificationHub.subscribe(userId, (notification) =>
+    ready ? send(notification) : pending.push(notification)
+  );
+  if (!unsubscribe) {
+    return sendTooManyRequests(
+      res,
+      RECONNECT_MS / 1000,
+      "Too many open notification streams."
+    );
+  }
+
+  let heartbeat = null;
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const lastEventId = req.get("Last-Event-ID");
+    const [missed, unread] = await Promise.all([
+      lastEventId && validator.isInt(lastEventId, { min: 0 })
+        ? authDataPool.getNotificationsAfter(userId, parseInt(lastEventId))
+        : [],
+      authDataPool.getUnreadNotificationCount(userId),
+    ]);
+    if (closed) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+    res.write(formatSseEvent("unread", { unread }));
+
+    const sentIds = new Set(
+      missed.map((notification) => notification.NotificationID)
+    );
+    missed.forEach(send);
+    pending
+      .filter((notification) => !sentIds.has(notification.NotificationID))
+      .forEach(send);
+    ready = true;
+
+    // Comment lines keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+  } catch (error) {
+    console.error("Error opening notification stream:", error);
+    unsubscribe();
+    if (!res.headersSent) {
+      return res
+        .status(500)
+        .json({ success: false, message: "Failed to open notifications." });
+    }
+    res.end();
+  }
+});
+
+// PUT /notifications/read - Marks all notifications as read
+router.put("/read", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.markAllNotificationsRead(
+      req.session.userId
+    );
+    res.json(result);
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update notifications." });
+  }
+});
+
+// PUT /notifications/:id/read
+router.put("/:id/read", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.markNotificationRead(
+      req.params.id,
+      req.session.userId
+    );
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update notification." });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,198 @@
 const express = require("express");
 const router = express.Router();
-const { authDataPool } = require("../DB/dbConn.js"); // Adjust the path as needed
-const multer = require("multer");
-const path = require("path");
-// --- Multer Configuration for Profile Pictures ---
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, "profile-" + uniqueSuffix + path.extname(file.originalname));
-  },
-});
-const upload = multer({ storage: storage });
+const { authDataPool, validateEmail } = require("../DB/dbConn.js"); // Adjust the path as needed
+const { requireAuth } = require("../middleware/auth.js");
+const { signAccessToken } = require("../services/accessTokens.js");
+const { tokenConfig } = require("../config/tokens.js");
+const { getRateLimit } = require("../config/rateLimits.js");
+const {
+  createRateLimiter,
+  sendTooManyRequests,
+  byIp,
+  byBodyField,
+} = require("../middleware/rateLimit.js");
+const { getResultStatus } = require("../utils/http.js");
+const { validateBody } = require("../middleware/validate.js");
+const {
+  createImageUpload,
+  removeUploadedFiles,
+  removeStoredFiles,
+} = require("../middleware/upload.js");
+const {
+  registerSchema,
+  updateDetailsSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+} = require("../schemas/auth.js");
+const {
+  destroySession,
+  listUserSessions,
+  destroyUserSessions,
+  getPublicSessionId,
+  toSessionSummary,
+} = require("../utils/sessions.js");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../services/accountEmails.js");
+// --- Profile picture uploads (validated and stripped of metadata) ---
+const upload = createImageUpload({ prefix: "profile" });
+// --- Rate limits (see config/rateLimits.js) ---
+const loginLimiter = createRateLimiter({
+  ...getRateLimit("login"),
+  keys: [byIp, byBodyField("identifier")],
+});
+const registerLimiter = createRateLimiter(getRateLimit("register"));
+const passwordResetLimiter = createRateLimiter({
+  ...getRateLimit("passwordReset"),
+  keys: [byIp, byBodyField("email")],
+});
+
 // ===============================================================
 //                      AUTHENTICATION ROUTES
 // ===============================================================
 
 // Register route: POST /auth/register
-router.post("/register", async (req, res) => {
-  const result = await authDataPool.createUser(req.body);
+router.post(
+  "/register",
+  registerLimiter,
+  validateBody(registerSchema),
+  async (req, res) => {
+    const result = await authDataPool.createUser(req.body);
 
-  if (result.success) {
-    res.status(201).json(result);
-  } else {
-    res.status(400).json(result);
+    if (result.success) {
+      // A failed verification email must not fail the registration
+      try {
+        const users = await authDataPool.getUserById(result.data.userId);
+        await sendVerificationEmail(users[0]);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
   }
-});
+);
 
 // Login route: POST /auth/login
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimiter, async (req, res) => {
   // Accept a generic 'identifier' which can be a username or an email
   const { identifier, password } = req.body;
   const result = await authDataPool.authenticateUser(identifier, password);
 
-  if (result.success) {
+  if (result.reason === "locked") {
+    return sendTooManyRequests(res, result.retryAfter, result.message);
+  }
+  if (!result.success) {
+    return res.status(401).json(result);
+  }
+  // New session id on login to prevent session fixation
+  req.session.regenerate((err) => {
+    if (err) {
+      return res
+        .status(500)
+        .json({ success: false, message: "Could not start session." });
+    }
     // Set session user ID
     req.session.userId = result.data.UserID;
+    req.session.loggedInAt = new Date();
+    req.session.userAgent = req.get("User-Agent") || null;
+    req.session.ipAddress = req.ip;
     res.json(result);
-  } else {
-    res.status(401).json(result);
+  });
+});
+
+// Access + refresh token pair for Bearer clients
+const issueTokenResponse = (userId, refreshToken) => ({
+  tokenType: "Bearer",
+  accessToken: signAccessToken(
+    userId,
+    tokenConfig.accessTokenSecret,
+    tokenConfig.accessTokenTtlSeconds
+  ),
+  expiresIn: tokenConfig.accessTokenTtlSeconds,
+  refreshToken,
+});
+
+// POST /auth/token - Token login for mobile and third-party clients
+router.post("/token", loginLimiter, async (req, res) => {
+  const { identifier, password } = req.body;
+  if (!identifier || !password) {
+    return res.status(400).json({
+      success: false,
+      message: "Identifier and password are required.",
+    });
+  }
+  const result = await authDataPool.authenticateUser(identifier, password);
+  if (result.reason === "locked") {
+    return sendTooManyRequests(res, result.retryAfter, result.message);
+  }
+  if (!result.success) {
+    return res.status(401).json(result);
+  }
+  try {
+    const userId = result.data.UserID;
+    const refreshToken = await authDataPool.issueRefreshToken(
+      userId,
+      tokenConfig.refreshTokenTtlDays
+    );
+    res.json({
+      success: true,
+      message: result.message,
+      data: { ...issueTokenResponse(userId, refreshToken), user: result.data },
+    });
+  } catch (error) {
+    console.error("Error issuing tokens:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error issuing tokens." });
+  }
+});
+
+// POST /auth/token/refresh - Rotates a refresh token and issues a new access token
+router.post("/token/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Refresh token is required." });
+  }
+  try {
+    const result = await authDataPool.rotateRefreshToken(
+      refreshToken,
+      tokenConfig.refreshTokenTtlDays
+    );
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+    res.json({
+      success: true,
+      data: issueTokenResponse(result.data.userId, result.data.refreshToken),
+    });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error refreshing token." });
+  }
+});
+
+// POST /auth/token/revoke - Token logout
+router.post("/token/revoke", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Refresh token is required." });
+  }
+  try {
+    await authDataPool.revokeRefreshToken(refreshToken);
+    res.json({ success: true, message: "Token revoked." });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Server error revoking token." });
   }
 });
 
@@ -81,14 +235,51 @@ router.get("/session", async (req, res) => {
   }
 });
 
+// GET /auth/sessions - Lists the current user's active logins
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.sessionStore, req.user.userId);
+    res.json({
+      success: true,
+      data: sessions.map((session) => toSessionSummary(session, req.sessionID)),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch sessions." });
+  }
+});
+
+// DELETE /auth/sessions/:id - Revokes one of the current user's logins
+router.delete("/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.sessionStore, req.user.userId);
+    const target = sessions.find(
+      (session) => getPublicSessionId(session.id) === req.params.id
+    );
+    if (!target) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found." });
+    }
+    await destroySession(req.sessionStore, target.id);
+    if (target.id === req.sessionID) res.clearCookie("connect.sid");
+    res.json({ success: true, message: "Session revoked." });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to revoke session." });
+  }
+});
+
 // POST /auth/update-profile-picture
 router.post(
   "/update-picture",
+  requireAuth,
   upload.single("profilePicture"),
   async (req, res) => {
-    if (!req.session.userId) {
-      return res.status(401).json({ success: false, message: "Unauthorized" });
-    }
     if (!req.file) {
       return res
         .status(400)
@@ -98,10 +289,13 @@ router.post(
     try {
       const result = await authDataPool.updateProfilePicture(
         req.session.userId,
-        req.file.path
+        req.file.key
       );
-      res.json(result);
+      const { previousKey, ...data } = result.data;
+      await removeStoredFiles([previousKey]);
+      res.json({ success: true, message: result.message, data });
     } catch (error) {
+      await removeUploadedFiles(req);
       res
         .status(500)
         .json({ success: false, message: "Server error updating picture." });
@@ -110,21 +304,183 @@ router.post(
 );
 
 // POST /auth/update-details
-router.post("/update-details", async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+router.post(
+  "/update-details",
+  requireAuth,
+  validateBody(updateDetailsSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.updateUserDetails(
+        req.session.userId,
+        req.body
+      );
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating details." });
+    }
   }
+);
 
+// POST /auth/change-password - Changes the password and logs out other sessions
+router.post(
+  "/change-password",
+  requireAuth,
+  validateBody(changePasswordSchema),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const result = await authDataPool.changePassword(
+        req.user.userId,
+        currentPassword,
+        newPassword
+      );
+      if (result.success) {
+        await destroyUserSessions(
+          req.sessionStore,
+          req.user.userId,
+          req.sessionID
+        );
+        await authDataPool.revokeUserRefreshTokens(req.user.userId);
+      }
+      res.status(getResultStatus(result)).json(result);
+    } catch (error) {
+      console.error("Error changing password:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error changing password." });
+    }
+  }
+);
+
+// DELETE /auth/account - Closes and anonymizes the current user's account
+router.delete(
+  "/account",
+  requireAuth,
+  validateBody(deleteAccountSchema),
+  async (req, res) => {
+    try {
+      const result = await authDataPool.deleteAccount(
+        req.user.userId,
+        req.body.currentPassword
+      );
+      if (!result.success) {
+        return res.status(getResultStatus(result)).json(result);
+      }
+      const { profilePicture } = result.data;
+      await removeStoredFiles([profilePicture]);
+      await destroyUserSessions(req.sessionStore, req.user.userId);
+      await authDataPool.revokeUserRefreshTokens(req.user.userId);
+      res.clearCookie("connect.sid");
+      res.json({ success: true, message: result.message });
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error deleting account." });
+    }
+  }
+);
+
+// POST /auth/verify-email/resend - Sends a new verification link
+router.post("/verify-email/resend", requireAuth, async (req, res) => {
   try {
-    const result = await authDataPool.updateUserDetails(
-      req.session.userId,
-      req.body
-    );
-    res.json(result);
+    const users = await authDataPool.getUserById(req.user.userId);
+    if (users[0].IsVerified) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Your email is already verified." });
+    }
+    await sendVerificationEmail(users[0]);
+    res.json({ success: true, message: "Verification email sent." });
+  } catch (error) {
+    console.error("Error sending verification email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not send verification email.",
+    });
+  }
+});
+
+// POST /auth/verify-email - Confirms an email address with the mailed token
+router.post("/verify-email", async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Token is required." });
+  }
+  try {
+    const result = await authDataPool.verifyEmail(token);
+    res.status(getResultStatus(result)).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ success: false, message: "Server error verifying email." });
+  }
+});
+
+// POST /auth/forgot-password - Mails a password reset link
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email || !validateEmail(email)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "A valid email is required." });
+  }
+  try {
+    const users = await authDataPool.getUserByEmail(email);
+    if (users.length > 0 && !users[0].IsSuspended) {
+      await sendPasswordResetEmail(users[0]);
+    }
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a reset link was sent.",
+    });
+  } catch (error) {
+    console.error("Error sending password reset email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not send password reset email.",
+    });
+  }
+});
+
+// POST /auth/reset-password - Sets a new password with the mailed token
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  const { token, newPassword } = req.body;
+  if (!token) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Token is required." });
+  }
+  try {
+    const result = await authDataPool.resetPassword(token, newPassword);
+    if (!result.success) {
+      return res.status(getResultStatus(result)).json(result);
+    }
+    // Whoever knew the old password must not stay logged in
+    await destroyUserSessions(req.sessionStore, result.data.userId);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error resetting password." });
+  }
+});
+
+// POST /auth/become-provider - Upgrades a verified Seeker to a Provider
+router.post("/become-provider", requireAuth, async (req, res) => {
+  try {
+    const result = await authDataPool.becomeProvider(req.session.userId);
+    res.status(getResultStatus(result)).json(result);
   } catch (error) {
     res
       .status(500)
-      .json({ success: false, message: "Server error updating details." });
+      .json({ success: false, message: "Server error updating role." });
   }
 });
 
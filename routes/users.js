@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const { authDataPool } = require("../DB/dbConn.js");
+
+// ===============================================================
+//                      PUBLIC USER ROUTES
+// ===============================================================
+
+// GET /users/:id - Public profile with ratings and received reviews
+router.get("/:id", async (req, res) => {
+  try {
+    const profile = await authDataPool.getPublicUserProfile(req.params.id);
+    if (!profile) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found." });
+    }
+    profile.Reviews = await authDataPool.getReviewsForUser(req.params.id);
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    console.error("Error fetching user profile:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch user profile." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/*
+=================================================================
+                    AUTH REQUEST SCHEMAS
+=================================================================
+*/
+
+const {
+  validateEmail,
+  validatePassword,
+  validatePhoneNumber,
+  validateRole,
+} = require("../DB/dbConn.js");
+
+const PASSWORD_RULES =
+  "Must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number.";
+
+const addressFields = {
+  streetName: { required: true, maxLength: 100 },
+  number: { maxLength: 10 },
+  city: { required: true, maxLength: 60 },
+  postalCode: { required: true, maxLength: 12 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+};
+
+const registerSchema = {
+  fields: {
+    username: {
+      required: true,
+      minLength: 3,
+      maxLength: 30,
+      pattern: /^[A-Za-z0-9_.-]+$/,
+      message:
+        "May only contain letters, numbers, dots, dashes and underscores.",
+    },
+    password: {
+      required: true,
+      validate: (value) => validatePassword(value) || PASSWORD_RULES,
+    },
+    email: {
+      required: true,
+      maxLength: 100,
+      validate: (value) => validateEmail(value) || "Must be a valid email.",
+    },
+    phoneNumber: {
+      validate: (value) =>
+        validatePhoneNumber(value) || "Must be a valid phone number.",
+    },
+    // Admin accounts are never created through registration
+    role: {
+      validate: (value) =>
+        (validateRole(value) && value !== "Admin") ||
+        "Must be Seeker or Provider.",
+    },
+    ...addressFields,
+  },
+};
+
+const updateDetailsSchema = {
+  fields: {
+    firstName: { maxLength: 50 },
+    lastName: { maxLength: 50 },
+    email: {
+      required: true,
+      maxLength: 100,
+      validate: (value) => validateEmail(value) || "Must be a valid email.",
+    },
+    phoneNumber: {
+      validate: (value) =>
+        validatePhoneNumber(value) || "Must be a valid phone number.",
+    },
+    currentPassword: { required: true },
+  },
+};
+
+const changePasswordSchema = {
+  fields: {
+    currentPassword: { required: true },
+    newPassword: {
+      required: true,
+      validate: (value) => validatePassword(value) || PASSWORD_RULES,
+    },
+  },
+};
+
+const deleteAccountSchema = {
+  fields: {
+    currentPassword: { required: true },
+  },
+};
+
+module.exports = {
+  PASSWORD_RULES,
+  registerSchema,
+  updateDetailsSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+};
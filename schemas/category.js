@@ -0,0 +1,26 @@
+/*
+=================================================================
+                    CATEGORY REQUEST SCHEMAS
+=================================================================
+*/
+
+const categoryFields = {
+  name: { minLength: 2, maxLength: 60 },
+  description: { maxLength: 255 },
+};
+
+const createCategorySchema = {
+  fields: {
+    ...categoryFields,
+    name: { ...categoryFields.name, required: true },
+  },
+};
+
+const updateCategorySchema = {
+  fields: {
+    ...categoryFields,
+    isActive: { type: "boolean" },
+  },
+};
+
+module.exports = { createCategorySchema, updateCategorySchema };
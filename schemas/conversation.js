@@ -0,0 +1,32 @@
+/*
+=================================================================
+                    MESSAGING REQUEST SCHEMAS
+=================================================================
+*/
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+const messageRule = { required: true, maxLength: MAX_MESSAGE_LENGTH };
+
+// A thread is about a listing or about one booking, not both
+const startConversationSchema = {
+  fields: {
+    listingId: { type: "integer", min: 1 },
+    bookingId: { type: "integer", min: 1 },
+    message: messageRule,
+  },
+  check: (body) => {
+    const isSet = (value) =>
+      value !== undefined && value !== null && value !== "";
+    if (isSet(body.listingId) === isSet(body.bookingId)) {
+      return { listingId: "Provide either a listingId or a bookingId." };
+    }
+    return null;
+  },
+};
+
+const sendMessageSchema = {
+  fields: { message: messageRule },
+};
+
+module.exports = { startConversationSchema, sendMessageSchema };
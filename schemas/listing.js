@@ -0,0 +1,181 @@
+/*
+=================================================================
+                    LISTING REQUEST SCHEMAS
+=================================================================
+*/
+
+const validator = require("validator");
+const { parseDay } = require("../services/availability.js");
+const { normalizePriceUnit } = require("../services/pricing.js");
+const { STORAGE_TYPES } = require("../services/listingSearch.js");
+const { CREATE_STATUSES } = require("../services/listingLifecycle.js");
+
+const priceUnitRule = {
+  required: true,
+  validate: (value) =>
+    Boolean(normalizePriceUnit(value)) || "Must be day, week or month.",
+};
+
+const listingDetailsFields = {
+  title: { required: true, minLength: 3, maxLength: 100 },
+  description: { required: true, maxLength: 2000 },
+  price: { required: true, type: "number", min: 0.01 },
+  priceUnit: priceUnitRule,
+};
+
+const addressFields = {
+  streetName: { maxLength: 100 },
+  number: { maxLength: 10 },
+  city: { maxLength: 60 },
+  postalCode: { maxLength: 12 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+};
+
+const slotCapacityError = (body) =>
+  body.storageType === "ItemSlot" && !validator.isInt(String(body.capacity))
+    ? { capacity: "Slot capacity must be a whole number." }
+    : null;
+
+const createListingSchema = {
+  fields: {
+    ...listingDetailsFields,
+    storageType: { required: true, oneOf: STORAGE_TYPES },
+    capacity: { required: true, type: "number", min: 1 },
+    ...addressFields,
+    streetName: { ...addressFields.streetName, required: true },
+    city: { ...addressFields.city, required: true },
+    postalCode: { ...addressFields.postalCode, required: true },
+    status: { oneOf: CREATE_STATUSES },
+  },
+  check: slotCapacityError,
+};
+
+// Storage type, capacity and address are optional. A new storage type
+// needs a new capacity, and an address change needs the full address.
+const updateListingSchema = {
+  fields: {
+    ...listingDetailsFields,
+    storageType: { oneOf: STORAGE_TYPES },
+    capacity: { type: "number", min: 1 },
+    ...addressFields,
+  },
+  check: (body) => {
+    const errors = { ...slotCapacityError(body) };
+    if (body.storageType && body.capacity === undefined) {
+      errors.capacity = "Required when changing the storage type.";
+    }
+    const addressKeys = ["streetName", "city", "postalCode"];
+    const hasAddress = Object.keys(addressFields).some(
+      (key) => body[key] !== undefined
+    );
+    if (hasAddress) {
+      addressKeys
+        .filter((key) => !body[key])
+        .forEach((key) => {
+          errors[key] = "Required when changing the address.";
+        });
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+  },
+};
+
+const reorderImagesSchema = {
+  fields: {
+    attachmentIds: {
+      required: true,
+      type: "array",
+      min: 1,
+      each: (id) =>
+        validator.isInt(String(id), { min: 1 })
+          ? null
+          : "Must be a positive whole number.",
+    },
+    primaryAttachmentId: { type: "integer", min: 1 },
+  },
+};
+
+const listingCategoryError = (category) => {
+  if (!category || typeof category !== "object") return "Must be an object.";
+  if (!validator.isInt(String(category.categoryId), { min: 1 }))
+    return "categoryId must be a positive whole number.";
+  if (
+    category.slotWeight !== undefined &&
+    !validator.isInt(String(category.slotWeight), { min: 1, max: 100 })
+  )
+    return "slotWeight must be a whole number from 1 to 100.";
+  if (
+    category.surcharge !== undefined &&
+    !validator.isFloat(String(category.surcharge), { min: 0 })
+  )
+    return "surcharge must be zero or more.";
+  return null;
+};
+
+// An empty list lets the listing accept every active category again
+const listingCategoriesSchema = {
+  fields: {
+    categories: { type: "array", max: 100, each: listingCategoryError },
+  },
+  check: (body) =>
+    Array.isArray(body.categories) ? null : { categories: "Must be a list." },
+};
+
+const bulkBookingStatusSchema = {
+  fields: {
+    bookingIds: {
+      required: true,
+      type: "array",
+      min: 1,
+      max: 50,
+      each: (id) =>
+        validator.isInt(String(id), { min: 1 })
+          ? null
+          : "Must be a positive whole number.",
+    },
+    status: { required: true, oneOf: ["Accepted", "Rejected"] },
+  },
+};
+
+const bookingItemError = (item) => {
+  if (!item || typeof item !== "object") return "Must be an object.";
+  if (!validator.isInt(String(item.categoryId), { min: 1 }))
+    return "categoryId must be a positive whole number.";
+  if (!validator.isInt(String(item.quantity), { min: 1 }))
+    return "quantity must be a positive whole number.";
+  return null;
+};
+
+const createBookingSchema = {
+  fields: {
+    listingId: { required: true, type: "integer", min: 1 },
+    startDate: { required: true, type: "date" },
+    endDate: { required: true, type: "date" },
+    storageType: { oneOf: STORAGE_TYPES },
+    items: { type: "array", min: 1, max: 50, each: bookingItemError },
+    requestedSqm: { type: "number", min: 0.01 },
+    totalCost: { type: "number", min: 0 },
+  },
+  check: (body) => {
+    const errors = {};
+    if (parseDay(body.endDate) < parseDay(body.startDate)) {
+      errors.endDate = "Must be on or after the start date.";
+    }
+    if (body.storageType === "ItemSlot" && !body.items) {
+      errors.items = "At least one item is required.";
+    }
+    if (body.storageType === "SquareMeter" && !body.requestedSqm) {
+      errors.requestedSqm = "This field is required.";
+    }
+    return errors;
+  },
+};
+
+module.exports = {
+  createListingSchema,
+  updateListingSchema,
+  reorderImagesSchema,
+  listingCategoriesSchema,
+  bulkBookingStatusSchema,
+  createBookingSchema,
+};
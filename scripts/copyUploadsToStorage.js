@@ -0,0 +1,76 @@
+/*
+=================================================================
+                  COPY LOCAL UPLOADS TO STORAGE
+=================================================================
+  One-off helper for moving to another storage driver. Run it after
+  DB/migrations/012_storage_keys.sql with the new driver configured:
+
+    STORAGE_DRIVER=s3 S3_BUCKET=... node scripts/copyUploadsToStorage.js [uploadsDir]
+
+  Every key referenced by Attachment or User is read from the local
+  uploads folder and written to the configured driver. Missing files
+  are reported and skipped; running it twice is harmless.
+*/
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2");
+const { dbConfig } = require("../DB/dbConn.js");
+const { storage } = require("../services/storage.js");
+const { detectImageType } = require("../services/imageProcessing.js");
+
+const sourceDir = process.argv[2] || "uploads";
+
+const getReferencedKeys = async (db) => {
+  const [attachments] = await db.query(
+    "SELECT FileURL, ThumbnailURL, MediumURL FROM Attachment"
+  );
+  const [users] = await db.query(
+    "SELECT ProfilePictureURL FROM User WHERE ProfilePictureURL IS NOT NULL"
+  );
+  const keys = [
+    ...attachments.flatMap((row) => [
+      row.FileURL,
+      row.ThumbnailURL,
+      row.MediumURL,
+    ]),
+    ...users.map((row) => row.ProfilePictureURL),
+  ];
+  return [...new Set(keys.filter((key) => key && !/^https?:\/\//.test(key)))];
+};
+
+const main = async () => {
+  const db = mysql.createConnection(dbConfig).promise();
+  const keys = await getReferencedKeys(db);
+  await db.end();
+
+  let copied = 0;
+  const missing = [];
+  for (const key of keys) {
+    let body;
+    try {
+      body = await fs.promises.readFile(path.join(sourceDir, key));
+    } catch (error) {
+      missing.push(key);
+      continue;
+    }
+    const type = detectImageType(body);
+    await storage.put(key, body, type ? type.mimeType : undefined);
+    copied++;
+  }
+
+  console.log(`Copied ${copied} of ${keys.length} file(s) from ${sourceDir}.`);
+  if (missing.length > 0) {
+    console.log(
+      `Missing locally (${missing.length}):\n  ${missing.join("\n  ")}`
+    );
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Copy failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+/*
+=================================================================
+                      ACCESS TOKEN MODULE
+=================================================================
+  Short-lived signed access tokens for Bearer authentication.
+  Tokens use the JWT compact format with HS256, so any JWT library
+  can read them: base64url(header).base64url(payload).signature
+*/
+
+const crypto = require("crypto");
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const encode = (object) =>
+  Buffer.from(JSON.stringify(object)).toString("base64url");
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+// ttlSeconds defaults to 15 minutes
+const signAccessToken = (
+  userId,
+  secret,
+  ttlSeconds = 15 * 60,
+  now = Date.now()
+) => {
+  const issuedAt = Math.floor(now / 1000);
+  const payload = {
+    sub: userId,
+    typ: "access",
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  };
+  const data = `${encode(HEADER)}.${encode(payload)}`;
+  return `${data}.${sign(data, secret)}`;
+};
+
+// Returns the payload of a valid, unexpired token, otherwise null
+const verifyAccessToken = (token, secret, now = Date.now()) => {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (alg !== HEADER.alg || claims.typ !== "access") return null;
+    if (!claims.exp || claims.exp <= Math.floor(now / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { signAccessToken, verifyAccessToken };
@@ -0,0 +1,50 @@
+/*
+=================================================================
+                    ACCOUNT EMAILS MODULE
+=================================================================
+  Creates verification / password reset tokens and mails the links.
+*/
+
+const { authDataPool } = require("../DB/dbConn.js");
+const { createMailTransport } = require("./mailer.js");
+
+const mailTransport = createMailTransport();
+
+const VERIFICATION_TTL_MINUTES = 24 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Links point to the frontend, which posts the token back to /auth
+const getAppBaseUrl = () =>
+  (process.env.APP_BASE_URL || "http://localhost:3081").replace(/\/$/, "");
+
+const sendVerificationEmail = async (user) => {
+  const result = await authDataPool.createUserToken(
+    user.UserID,
+    "EmailVerification",
+    VERIFICATION_TTL_MINUTES
+  );
+  if (!result.success) throw new Error(result.message);
+  const link = `${getAppBaseUrl()}/verify-email?token=${result.data.token}`;
+  await mailTransport.sendMail({
+    to: user.Email,
+    subject: "Verify your CasaBox email address",
+    text: `Hi ${user.Username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const result = await authDataPool.createUserToken(
+    user.UserID,
+    "PasswordReset",
+    PASSWORD_RESET_TTL_MINUTES
+  );
+  if (!result.success) throw new Error(result.message);
+  const link = `${getAppBaseUrl()}/reset-password?token=${result.data.token}`;
+  await mailTransport.sendMail({
+    to: user.Email,
+    subject: "Reset your CasaBox password",
+    text: `Hi ${user.Username},\n\nSomeone asked to reset the password of your CasaBox account. If it was you, open this link:\n${link}\n\nThe link expires in 60 minutes. If you did not ask for this, you can ignore this email.`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
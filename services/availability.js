@@ -0,0 +1,128 @@
+/*
+=================================================================
+                    LISTING AVAILABILITY MODULE
+=================================================================
+*/
+
+// Booking statuses that keep capacity reserved on a listing
+const CAPACITY_HOLDING_STATUSES = ["Pending", "Accepted", "Active"];
+
+const MAX_CALENDAR_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===============================================================
+//                        DATE HELPERS
+// ===============================================================
+
+// Bookings are stored in UTC (see formatMySqlDateTime), so days are UTC days
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(`${toDayKey(date)}T00:00:00.000Z`);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const eachDay = (fromKey, toKey) => {
+  const days = [];
+  for (
+    let time = new Date(fromKey).getTime();
+    time <= new Date(toKey).getTime();
+    time += DAY_MS
+  ) {
+    days.push(toDayKey(time));
+  }
+  return days;
+};
+
+// ===============================================================
+//                      CAPACITY HELPERS
+// ===============================================================
+
+const getListingCapacity = (listing) =>
+  listing.StorageType === "ItemSlot"
+    ? Number(listing.TotalCapacity_Slots) || 0
+    : Number(listing.CapacitySQMeter) || 0;
+
+const getCapacityUnit = (storageType) =>
+  storageType === "ItemSlot" ? "slots" : "sqm";
+
+// How much of the listing a stored booking row occupies (SlotQuantity is
+// already weighted, see getOverlappingBookings)
+const getBookingUsage = (booking, storageType) =>
+  storageType === "ItemSlot"
+    ? Number(booking.SlotQuantity) || 0
+    : Number(booking.RequestedCapacity_SQMeters) || 0;
+
+// How much of the listing a new booking request asks for. Items resolved
+// by services/itemCategories.js carry a slotWeight; others count as 1 slot.
+const getRequestedAmount = (bookingData, storageType) => {
+  if (storageType === "ItemSlot") {
+    return (bookingData.items || []).reduce(
+      (sum, item) =>
+        sum + (parseInt(item.quantity) || 0) * (parseInt(item.slotWeight) || 1),
+      0
+    );
+  }
+  return parseFloat(bookingData.requestedSqm) || 0;
+};
+
+// Builds a day-by-day calendar of booked and remaining capacity
+const buildAvailabilityCalendar = (listing, bookings, fromKey, toKey) => {
+  const capacity = getListingCapacity(listing);
+  const booked = {};
+  const days = eachDay(fromKey, toKey);
+  days.forEach((day) => (booked[day] = 0));
+
+  bookings.forEach((booking) => {
+    const usage = getBookingUsage(booking, listing.StorageType);
+    const startKey = toDayKey(booking.StartDate);
+    const endKey = toDayKey(booking.EndDate);
+    days.forEach((day) => {
+      if (day >= startKey && day <= endKey) booked[day] += usage;
+    });
+  });
+
+  return days.map((day) => ({
+    date: day,
+    booked: booked[day],
+    remaining: Math.max(capacity - booked[day], 0),
+  }));
+};
+
+// Highest combined usage of the bookings on any single day. Usage only
+// rises when a booking starts, so checking every start day is enough.
+const getPeakUsage = (bookings, storageType) =>
+  bookings.reduce((peak, booking) => {
+    const day = toDayKey(booking.StartDate);
+    const usage = bookings
+      .filter(
+        (other) =>
+          toDayKey(other.StartDate) <= day && toDayKey(other.EndDate) >= day
+      )
+      .reduce((sum, other) => sum + getBookingUsage(other, storageType), 0);
+    return Math.max(peak, usage);
+  }, 0);
+
+// Smallest remaining capacity across the calendar
+const getMinimumRemaining = (calendar, capacity) =>
+  calendar.reduce((min, day) => Math.min(min, day.remaining), capacity);
+
+module.exports = {
+  CAPACITY_HOLDING_STATUSES,
+  MAX_CALENDAR_DAYS,
+  toDayKey,
+  parseDay,
+  addDays,
+  eachDay,
+  getListingCapacity,
+  getCapacityUnit,
+  getBookingUsage,
+  getRequestedAmount,
+  buildAvailabilityCalendar,
+  getPeakUsage,
+  getMinimumRemaining,
+};
@@ -0,0 +1,67 @@
+/*
+=================================================================
+                    BOOKING LIFECYCLE MODULE
+=================================================================
+*/
+
+const BOOKING_STATUS = {
+  PENDING: "Pending",
+  ACCEPTED: "Accepted",
+  REJECTED: "Rejected",
+  ACTIVE: "Active",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+  EXPIRED: "Expired",
+};
+
+// Who is allowed to move a booking from one status to another.
+// "System" is used by background jobs, not by any logged-in user.
+const ALLOWED_TRANSITIONS = {
+  Provider: {
+    Pending: ["Accepted", "Rejected"],
+  },
+  Seeker: {
+    Pending: ["Cancelled"],
+    Accepted: ["Cancelled"],
+  },
+  Admin: {
+    Pending: ["Cancelled"],
+    Accepted: ["Cancelled"],
+    Active: ["Cancelled"],
+  },
+  System: {
+    Pending: ["Expired"],
+    Accepted: ["Active", "Completed"],
+    Active: ["Completed"],
+  },
+};
+
+// Once a booking reaches one of these, both sides may see each other's
+// contact details
+const CONTACT_VISIBLE_STATUSES = ["Accepted", "Active", "Completed"];
+
+const isBookingStatus = (status) =>
+  Object.values(BOOKING_STATUS).includes(status);
+
+const canTransition = (actorRole, fromStatus, toStatus) => {
+  const transitions = ALLOWED_TRANSITIONS[actorRole] || {};
+  return (transitions[fromStatus] || []).includes(toStatus);
+};
+
+const getTransitionError = (actorRole, fromStatus, toStatus) => {
+  if (!isBookingStatus(toStatus)) return `Unknown booking status: ${toStatus}.`;
+  if (fromStatus === toStatus) return `Booking is already ${fromStatus}.`;
+  const allowed = (ALLOWED_TRANSITIONS[actorRole] || {})[fromStatus] || [];
+  return allowed.length > 0
+    ? `A ${fromStatus} booking can only be changed to ${allowed.join(" or ")}.`
+    : `A ${fromStatus} booking cannot be changed.`;
+};
+
+module.exports = {
+  BOOKING_STATUS,
+  ALLOWED_TRANSITIONS,
+  CONTACT_VISIBLE_STATUSES,
+  isBookingStatus,
+  canTransition,
+  getTransitionError,
+};
@@ -0,0 +1,113 @@
+/*
+=================================================================
+                    BOOKING SCHEDULER MODULE
+=================================================================
+  Periodically expires stale Pending requests and moves Accepted
+  bookings to Active/Completed as their dates pass.
+*/
+
+const { toDayKey } = require("./availability.js");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Decides which status (if any) the system should move a booking to at `now`
+const getScheduledTransition = (booking, now, pendingTtlMs) => {
+  const startPassed = new Date(booking.StartDate) <= now;
+  const endPassed = toDayKey(now) > toDayKey(booking.EndDate);
+
+  switch (booking.BookingStatus) {
+    case "Pending": {
+      const requestAge = now - new Date(booking.RequestDate);
+      return requestAge >= pendingTtlMs || startPassed ? "Expired" : null;
+    }
+    case "Accepted":
+      if (endPassed) return "Completed";
+      return startPassed ? "Active" : null;
+    case "Active":
+      return endPassed ? "Completed" : null;
+    default:
+      return null;
+  }
+};
+
+// dataPool needs getBookingsDueForTransition(now, pendingCutoff) and
+// changeBookingStatus(bookingId, status, actor). clock returns the current Date.
+const createBookingScheduler = ({
+  dataPool,
+  clock = () => new Date(),
+  intervalMs = 15 * 60 * 1000,
+  pendingTtlHours = 72,
+  logger = console,
+}) => {
+  const pendingTtlMs = pendingTtlHours * HOUR_MS;
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    const now = clock();
+    const summary = {
+      checked: 0,
+      Expired: 0,
+      Active: 0,
+      Completed: 0,
+      failed: 0,
+    };
+    const bookings = await dataPool.getBookingsDueForTransition(
+      now,
+      new Date(now.getTime() - pendingTtlMs)
+    );
+    summary.checked = bookings.length;
+
+    for (const booking of bookings) {
+      const toStatus = getScheduledTransition(booking, now, pendingTtlMs);
+      if (!toStatus) continue;
+      const result = await dataPool.changeBookingStatus(
+        booking.BookingID,
+        toStatus,
+        { userId: null, role: "System" }
+      );
+      if (result.success) {
+        summary[toStatus]++;
+      } else {
+        summary.failed++;
+        logger.error(
+          `Booking scheduler: booking ${booking.BookingID} -> ${toStatus} failed: ${result.message}`
+        );
+      }
+    }
+
+    logger.log(
+      `Booking scheduler: checked ${summary.checked}, expired ${summary.Expired}, activated ${summary.Active}, completed ${summary.Completed}, failed ${summary.failed}`
+    );
+    return summary;
+  };
+
+  // Skips a tick if the previous run has not finished yet
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      logger.error("Booking scheduler run failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
+
+module.exports = { getScheduledTransition, createBookingScheduler };
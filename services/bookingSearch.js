@@ -0,0 +1,101 @@
+/*
+=================================================================
+                    BOOKING SEARCH MODULE
+=================================================================
+  Validates and normalizes the query string of
+  GET /listings/provider/bookings.
+*/
+
+const validator = require("validator");
+const { parseDay, toDayKey } = require("./availability.js");
+const { isBookingStatus } = require("./bookingLifecycle.js");
+
+const BOOKING_SORT_OPTIONS = ["newest", "start_date"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const PROVIDER_BOOKING_PARAMS = [
+  "status",
+  "listingId",
+  "from",
+  "to",
+  "sort",
+  "page",
+  "pageSize",
+];
+
+// status accepts a comma-separated list, e.g. ?status=Pending,Accepted.
+// from/to keep bookings that overlap the range; either may be omitted.
+// Returns { success, filters } or { success: false, errors: { param: message } }
+const parseProviderBookingQuery = (query) => {
+  const errors = {};
+  const filters = {
+    sort: "newest",
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+  };
+
+  Object.keys(query).forEach((param) => {
+    if (!PROVIDER_BOOKING_PARAMS.includes(param)) {
+      errors[param] = "Unknown search parameter.";
+    } else if (typeof query[param] !== "string") {
+      errors[param] = "Must be a single value.";
+    }
+  });
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+
+  const { status, listingId, from, to, sort, page, pageSize } = query;
+
+  if (status !== undefined) {
+    const statuses = status
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const unknown = statuses.filter((value) => !isBookingStatus(value));
+    if (statuses.length === 0 || unknown.length > 0) {
+      errors.status = "Must be one or more booking statuses.";
+    } else {
+      filters.statuses = statuses;
+    }
+  }
+
+  if (listingId !== undefined) {
+    if (validator.isInt(listingId, { min: 1 })) {
+      filters.listingId = parseInt(listingId);
+    } else {
+      errors.listingId = "Must be a positive whole number.";
+    }
+  }
+
+  const fromDay = from !== undefined ? parseDay(from) : null;
+  const toDay = to !== undefined ? parseDay(to) : null;
+  if (from !== undefined && !fromDay) errors.from = "Must be a valid date.";
+  if (to !== undefined && !toDay) errors.to = "Must be a valid date.";
+  if (fromDay && toDay && toDay < fromDay) {
+    errors.to = "Must be on or after from.";
+  }
+  if (fromDay) filters.from = toDayKey(fromDay);
+  if (toDay) filters.to = toDayKey(toDay);
+
+  if (sort !== undefined) {
+    if (BOOKING_SORT_OPTIONS.includes(sort)) filters.sort = sort;
+    else errors.sort = `Must be one of: ${BOOKING_SORT_OPTIONS.join(", ")}.`;
+  }
+
+  if (page !== undefined) {
+    if (validator.isInt(page, { min: 1 })) filters.page = parseInt(page);
+    else errors.page = "Must be a positive whole number.";
+  }
+  if (pageSize !== undefined) {
+    if (validator.isInt(pageSize, { min: 1, max: MAX_PAGE_SIZE })) {
+      filters.pageSize = parseInt(pageSize);
+    } else {
+      errors.pageSize = `Must be a whole number from 1 to ${MAX_PAGE_SIZE}.`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+  return { success: true, filters };
+};
+
+module.exports = { BOOKING_SORT_OPTIONS, parseProviderBookingQuery };
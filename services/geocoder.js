@@ -0,0 +1,81 @@
+/*
+=================================================================
+                        GEOCODER MODULE
+=================================================================
+  A geocoder is any object with
+    geocode({ streetName, city, postalCode }) -> Promise<{ latitude, longitude } | null>
+  Pick one with the GEOCODER env variable: "nominatim", "stub" or "none".
+*/
+
+// Never geocodes; addresses only get coordinates the client sends
+const createNoopGeocoder = () => ({
+  geocode: async () => null,
+});
+
+// Offline geocoder for local development and tests. Looks addresses up by
+// postal code or city (case-insensitive) in the given fixtures.
+const DEFAULT_STUB_FIXTURES = {
+  ljubljana: { latitude: 46.056946, longitude: 14.505751 },
+  maribor: { latitude: 46.554649, longitude: 15.645881 },
+  koper: { latitude: 45.548059, longitude: 13.730187 },
+};
+
+const createStubGeocoder = (fixtures = DEFAULT_STUB_FIXTURES) => ({
+  geocode: async ({ city, postalCode }) => {
+    const keys = [postalCode, city]
+      .filter(Boolean)
+      .map((key) => String(key).trim().toLowerCase());
+    const match = keys.find((key) => fixtures[key]);
+    return match ? { ...fixtures[match] } : null;
+  },
+});
+
+// OpenStreetMap Nominatim (https://nominatim.org/release-docs/latest/api/Search/).
+// Requests taking longer than timeoutMs are aborted and count as failures.
+const createNominatimGeocoder = ({
+  baseUrl = "https://nominatim.openstreetmap.org",
+  userAgent = "CasaBoxServer",
+  timeoutMs = 5000,
+} = {}) => ({
+  geocode: async ({ streetName, city, postalCode }) => {
+    const params = new URLSearchParams({ format: "json", limit: "1" });
+    if (streetName) params.set("street", streetName);
+    if (city) params.set("city", city);
+    if (postalCode) params.set("postalcode", postalCode);
+    const response = await fetch(`${baseUrl}/search?${params}`, {
+      headers: { "User-Agent": userAgent },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Nominatim responded with ${response.status}`);
+    }
+    const results = await response.json();
+    if (results.length === 0) return null;
+    return {
+      latitude: parseFloat(results[0].lat),
+      longitude: parseFloat(results[0].lon),
+    };
+  },
+});
+
+const createGeocoder = (name = process.env.GEOCODER) => {
+  switch (name) {
+    case "nominatim":
+      return createNominatimGeocoder({
+        baseUrl: process.env.GEOCODER_URL,
+        userAgent: process.env.GEOCODER_USER_AGENT,
+        timeoutMs: parseInt(process.env.GEOCODER_TIMEOUT_MS) || undefined,
+      });
+    case "stub":
+      return createStubGeocoder();
+    default:
+      return createNoopGeocoder();
+  }
+};
+
+module.exports = {
+  createGeocoder,
+  createNoopGeocoder,
+  createStubGeocoder,
+  createNominatimGeocoder,
+};
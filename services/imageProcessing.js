@@ -0,0 +1,108 @@
+/*
+=================================================================
+                    IMAGE VALIDATION & RENDITIONS
+=================================================================
+  The declared MIME type and file extension come from the client,
+  so the format is decided from the file's leading bytes instead.
+  Every image is re-encoded, which drops EXIF/GPS metadata.
+*/
+
+const sharp = require("sharp");
+
+const IMAGE_TYPES = [
+  {
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.toString("ascii", 0, 4) === "RIFF" &&
+      buffer.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const type = IMAGE_TYPES.find((candidate) => candidate.matches(buffer));
+  return type ? { mimeType: type.mimeType, extension: type.extension } : null;
+};
+
+const encode = (image, extension) => {
+  if (extension === "jpg") return image.jpeg({ quality: 85, mozjpeg: true });
+  if (extension === "png") return image.png();
+  return image.webp({ quality: 85 });
+};
+
+// processImage(buffer, { minDimension, maxDimension, renditions: { thumbnail: 320 } })
+// Resolves { success, data: { mimeType, extension, width, height, original, renditions } }
+// where original and every rendition are re-encoded buffers without metadata.
+const processImage = async (buffer, options) => {
+  const { minDimension, maxDimension, renditions = {} } = options;
+  const type = detectImageType(buffer);
+  if (!type) {
+    return {
+      success: false,
+      message: "Only JPEG, PNG and WebP images are allowed.",
+    };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { success: false, message: "The image file is corrupt." };
+  }
+  // EXIF orientations 5-8 swap width and height once the image is rotated
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (Math.max(width, height) > maxDimension) {
+    return {
+      success: false,
+      message: `Images may be at most ${maxDimension}px wide or tall.`,
+    };
+  }
+  if (Math.min(width, height) < minDimension) {
+    return {
+      success: false,
+      message: `Images must be at least ${minDimension}px wide and tall.`,
+    };
+  }
+
+  try {
+    // rotate() bakes the EXIF orientation into the pixels before it is dropped
+    const original = await encode(
+      sharp(buffer).rotate(),
+      type.extension
+    ).toBuffer();
+    const resized = {};
+    for (const [name, size] of Object.entries(renditions)) {
+      resized[name] = await encode(
+        sharp(buffer)
+          .rotate()
+          .resize(size, size, { fit: "inside", withoutEnlargement: true }),
+        type.extension
+      ).toBuffer();
+    }
+    return {
+      success: true,
+      data: { ...type, width, height, original, renditions: resized },
+    };
+  } catch (error) {
+    return { success: false, message: "The image could not be processed." };
+  }
+};
+
+module.exports = { IMAGE_TYPES, detectImageType, processImage };
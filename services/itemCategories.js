@@ -0,0 +1,85 @@
+/*
+=================================================================
+                    ITEM CATEGORY MODULE
+=================================================================
+  Items of an ItemSlot booking each belong to a category. A listing
+  either accepts every active category (no ListingCategory rows) or
+  only the ones it lists, each with
+    SlotWeight  slots one item occupies, default 1
+    Surcharge   extra cost per item and billing period, default 0
+*/
+
+const DEFAULT_SLOT_WEIGHT = 1;
+const DEFAULT_SURCHARGE = 0;
+
+// Categories a listing accepts. listingCategories are all of the listing's
+// ListingCategory rows joined with Category (IsActive included); having any
+// makes the listing restricted, even if every one of them has since been
+// deactivated. activeCategories is used when the listing has none.
+const getAcceptedCategories = (listingCategories, activeCategories) =>
+  listingCategories.length > 0
+    ? listingCategories
+        .filter((category) => Number(category.IsActive) === 1)
+        .map((category) => ({
+          CategoryID: category.CategoryID,
+          Name: category.Name,
+          SlotWeight: Number(category.SlotWeight),
+          Surcharge: parseFloat(category.Surcharge),
+        }))
+    : activeCategories.map((category) => ({
+        CategoryID: category.CategoryID,
+        Name: category.Name,
+        SlotWeight: DEFAULT_SLOT_WEIGHT,
+        Surcharge: DEFAULT_SURCHARGE,
+      }));
+
+// Checks booking items against the accepted categories and returns them
+// with the weight and surcharge that apply:
+//   { success: true, items: [{ categoryId, quantity, slotWeight, surcharge }] }
+//   { success: false, errors: { items: message } }
+const resolveBookingItems = (items, acceptedCategories) => {
+  const byId = new Map(
+    acceptedCategories.map((category) => [category.CategoryID, category])
+  );
+  const seen = new Set();
+  const resolved = [];
+  for (const [index, item] of (items || []).entries()) {
+    const categoryId = parseInt(item.categoryId);
+    const category = byId.get(categoryId);
+    if (!category) {
+      return {
+        success: false,
+        errors: {
+          items: `Item ${index + 1}: this listing does not accept category ${
+            item.categoryId
+          }.`,
+        },
+      };
+    }
+    if (seen.has(categoryId)) {
+      return {
+        success: false,
+        errors: {
+          items: `Item ${
+            index + 1
+          }: category ${categoryId} is listed more than once.`,
+        },
+      };
+    }
+    seen.add(categoryId);
+    resolved.push({
+      categoryId,
+      quantity: parseInt(item.quantity),
+      slotWeight: category.SlotWeight,
+      surcharge: category.Surcharge,
+    });
+  }
+  return { success: true, items: resolved };
+};
+
+module.exports = {
+  DEFAULT_SLOT_WEIGHT,
+  DEFAULT_SURCHARGE,
+  getAcceptedCategories,
+  resolveBookingItems,
+};
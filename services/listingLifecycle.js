@@ -0,0 +1,64 @@
+/*
+=================================================================
+                    LISTING LIFECYCLE MODULE
+=================================================================
+  Only Active listings show up in public search and accept bookings.
+  Hidden and Removed are set by admins (see routes/admin.js) and can't
+  be changed by the provider. Deleted listings are kept only when
+  bookings still reference them.
+*/
+
+const LISTING_STATUS = {
+  DRAFT: "Draft",
+  ACTIVE: "Active",
+  PAUSED: "Paused",
+  ARCHIVED: "Archived",
+  DELETED: "Deleted",
+  HIDDEN: "Hidden",
+  REMOVED: "Removed",
+};
+
+// Statuses a provider may pick when creating a listing
+const CREATE_STATUSES = ["Draft", "Active"];
+
+// Provider-initiated status changes
+const PROVIDER_TRANSITIONS = {
+  Draft: ["Active", "Deleted"],
+  Active: ["Paused", "Archived", "Deleted"],
+  Paused: ["Active", "Archived", "Deleted"],
+  Archived: ["Active", "Deleted"],
+};
+
+const isListingStatus = (status) =>
+  Object.values(LISTING_STATUS).includes(status);
+
+const canProviderTransition = (fromStatus, toStatus) =>
+  (PROVIDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+const getListingTransitionError = (fromStatus, toStatus) => {
+  if (!isListingStatus(toStatus)) return `Unknown listing status: ${toStatus}.`;
+  if (fromStatus === toStatus) return `Listing is already ${fromStatus}.`;
+  const allowed = PROVIDER_TRANSITIONS[fromStatus] || [];
+  return allowed.length > 0
+    ? `A ${fromStatus} listing can only be changed to ${allowed.join(", ")}.`
+    : `A ${fromStatus} listing cannot be changed.`;
+};
+
+// Active listings are public. Drafts, paused, archived and moderated
+// listings are only visible to their owner; deleted ones to nobody.
+const isListingVisibleTo = (listing, userId) =>
+  listing.Status === LISTING_STATUS.ACTIVE ||
+  (listing.Status !== LISTING_STATUS.DELETED &&
+    userId !== undefined &&
+    userId !== null &&
+    listing.ProviderID === userId);
+
+module.exports = {
+  LISTING_STATUS,
+  CREATE_STATUSES,
+  PROVIDER_TRANSITIONS,
+  isListingStatus,
+  canProviderTransition,
+  getListingTransitionError,
+  isListingVisibleTo,
+};
@@ -0,0 +1,198 @@
+/*
+=================================================================
+                    LISTING SEARCH MODULE
+=================================================================
+  Validates and normalizes the query string of GET /listings/search.
+*/
+
+const validator = require("validator");
+const { parseDay, toDayKey } = require("./availability.js");
+const { normalizePriceUnit } = require("./pricing.js");
+
+const STORAGE_TYPES = ["ItemSlot", "SquareMeter"];
+const SORT_OPTIONS = ["newest", "price_asc", "price_desc", "rating"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const SEARCH_PARAMS = [
+  "q",
+  "storageType",
+  "minPrice",
+  "maxPrice",
+  "priceUnit",
+  "minSlots",
+  "minSqm",
+  "from",
+  "to",
+  "sort",
+  "page",
+  "pageSize",
+];
+
+const isNonNegativeNumber = (value) => validator.isFloat(value, { min: 0 });
+const isPositiveInteger = (value) => validator.isInt(value, { min: 1 });
+
+// Returns { success, filters } or { success: false, errors: { param: message } }
+const parseSearchQuery = (query) => {
+  const errors = {};
+  const filters = {
+    sort: "newest",
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+  };
+
+  Object.keys(query).forEach((param) => {
+    if (!SEARCH_PARAMS.includes(param)) {
+      errors[param] = "Unknown search parameter.";
+    } else if (typeof query[param] !== "string") {
+      errors[param] = "Must be a single value.";
+    }
+  });
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+
+  const {
+    q,
+    storageType,
+    minPrice,
+    maxPrice,
+    priceUnit,
+    minSlots,
+    minSqm,
+    from,
+    to,
+    sort,
+    page,
+    pageSize,
+  } = query;
+
+  if (q !== undefined && q.trim() !== "") filters.q = q.trim();
+
+  if (storageType !== undefined) {
+    if (STORAGE_TYPES.includes(storageType)) filters.storageType = storageType;
+    else errors.storageType = `Must be one of: ${STORAGE_TYPES.join(", ")}.`;
+  }
+
+  if (minPrice !== undefined) {
+    if (isNonNegativeNumber(minPrice)) filters.minPrice = parseFloat(minPrice);
+    else errors.minPrice = "Must be a non-negative number.";
+  }
+  if (maxPrice !== undefined) {
+    if (isNonNegativeNumber(maxPrice)) filters.maxPrice = parseFloat(maxPrice);
+    else errors.maxPrice = "Must be a non-negative number.";
+  }
+  if (
+    filters.minPrice !== undefined &&
+    filters.maxPrice !== undefined &&
+    filters.minPrice > filters.maxPrice
+  ) {
+    errors.maxPrice = "Must be greater than or equal to minPrice.";
+  }
+
+  if (priceUnit !== undefined) {
+    const unit = normalizePriceUnit(priceUnit);
+    if (unit) filters.priceUnit = unit;
+    else errors.priceUnit = "Must be one of: day, week, month.";
+  }
+
+  if (minSlots !== undefined) {
+    if (isPositiveInteger(minSlots)) filters.minSlots = parseInt(minSlots);
+    else errors.minSlots = "Must be a positive whole number.";
+  }
+  if (minSqm !== undefined) {
+    if (isNonNegativeNumber(minSqm)) filters.minSqm = parseFloat(minSqm);
+    else errors.minSqm = "Must be a non-negative number.";
+  }
+
+  if (from !== undefined || to !== undefined) {
+    const fromDay = parseDay(from);
+    const toDay = parseDay(to);
+    if (!fromDay) errors.from = "Must be a valid date.";
+    if (!toDay) errors.to = "Must be a valid date.";
+    if (fromDay && toDay && toDay < fromDay) {
+      errors.to = "Must be on or after from.";
+    }
+    if (fromDay && toDay) {
+      filters.from = toDayKey(fromDay);
+      filters.to = toDayKey(toDay);
+    }
+  }
+
+  if (sort !== undefined) {
+    if (SORT_OPTIONS.includes(sort)) filters.sort = sort;
+    else errors.sort = `Must be one of: ${SORT_OPTIONS.join(", ")}.`;
+  }
+
+  if (page !== undefined) {
+    if (isPositiveInteger(page)) filters.page = parseInt(page);
+    else errors.page = "Must be a positive whole number.";
+  }
+  if (pageSize !== undefined) {
+    if (validator.isInt(pageSize, { min: 1, max: MAX_PAGE_SIZE })) {
+      filters.pageSize = parseInt(pageSize);
+    } else {
+      errors.pageSize = `Must be a whole number from 1 to ${MAX_PAGE_SIZE}.`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+  return { success: true, filters };
+};
+
+const NEARBY_PARAMS = ["lat", "lng", "radiusKm", "limit"];
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+const MAX_NEARBY_RESULTS = 100;
+
+// Validates the query string of GET /listings/nearby
+const parseNearbyQuery = (query) => {
+  const errors = {};
+  Object.keys(query).forEach((param) => {
+    if (!NEARBY_PARAMS.includes(param)) {
+      errors[param] = "Unknown search parameter.";
+    } else if (typeof query[param] !== "string") {
+      errors[param] = "Must be a single value.";
+    }
+  });
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+
+  const { lat, lng, radiusKm, limit } = query;
+  const filters = {
+    radiusKm: DEFAULT_RADIUS_KM,
+    limit: 50,
+  };
+
+  if (lat !== undefined && validator.isFloat(lat, { min: -90, max: 90 })) {
+    filters.latitude = parseFloat(lat);
+  } else {
+    errors.lat = "Must be a latitude between -90 and 90.";
+  }
+  if (lng !== undefined && validator.isFloat(lng, { min: -180, max: 180 })) {
+    filters.longitude = parseFloat(lng);
+  } else {
+    errors.lng = "Must be a longitude between -180 and 180.";
+  }
+  if (radiusKm !== undefined) {
+    if (validator.isFloat(radiusKm, { gt: 0, max: MAX_RADIUS_KM })) {
+      filters.radiusKm = parseFloat(radiusKm);
+    } else {
+      errors.radiusKm = `Must be a number greater than 0 and at most ${MAX_RADIUS_KM}.`;
+    }
+  }
+  if (limit !== undefined) {
+    if (validator.isInt(limit, { min: 1, max: MAX_NEARBY_RESULTS })) {
+      filters.limit = parseInt(limit);
+    } else {
+      errors.limit = `Must be a whole number from 1 to ${MAX_NEARBY_RESULTS}.`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+  return { success: true, filters };
+};
+
+module.exports = {
+  STORAGE_TYPES,
+  SORT_OPTIONS,
+  parseSearchQuery,
+  parseNearbyQuery,
+};
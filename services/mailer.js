@@ -0,0 +1,92 @@
+/*
+=================================================================
+                          MAIL MODULE
+=================================================================
+  A mail transport is any object with
+    sendMail({ to, subject, text }) -> Promise
+  Pick one with the MAIL_TRANSPORT env variable: "smtp", "file" or
+  "console". Without it, mail goes to the console, except in production
+  where that would log reset and verification links, so startup fails.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FROM = "CasaBox <no-reply@casabox.local>";
+
+// Production: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port: parseInt(port) || 587,
+    secure: secure === "true",
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    sendMail: (message) =>
+      transporter.sendMail({ from: from || DEFAULT_FROM, ...message }),
+  };
+};
+
+// Local testing: every message is written as a JSON file to outputDir
+const createFileTransport = ({ outputDir = "mail-outbox", from }) => ({
+  sendMail: async (message) => {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+    const filePath = path.join(outputDir, fileName);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify(
+        { from: from || DEFAULT_FROM, ...message, sentAt: new Date() },
+        null,
+        2
+      )
+    );
+    return { filePath };
+  },
+});
+
+const createConsoleTransport = ({ from }) => ({
+  sendMail: async (message) => {
+    console.log(
+      `\n--- Mail from ${from || DEFAULT_FROM} to ${message.to} ---\nSubject: ${
+        message.subject
+      }\n\n${message.text}\n--- End of mail ---\n`
+    );
+  },
+});
+
+const createMailTransport = (name = process.env.MAIL_TRANSPORT) => {
+  const from = process.env.MAIL_FROM;
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from,
+      });
+    case "file":
+      return createFileTransport({
+        outputDir: process.env.MAIL_OUTPUT_DIR,
+        from,
+      });
+    case "console":
+      return createConsoleTransport({ from });
+    default:
+      if (process.env.NODE_ENV === "production") {
+        throw new Error("MAIL_TRANSPORT must be set in production.");
+      }
+      return createConsoleTransport({ from });
+  }
+};
+
+module.exports = {
+  createMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
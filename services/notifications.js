@@ -0,0 +1,99 @@
+/*
+=================================================================
+                    NOTIFICATIONS MODULE
+=================================================================
+  Notifications are stored in the Notification table (see
+  authDataPool.notifyUser) and pushed to the user's open
+  GET /notifications/stream connections through the hub below.
+  The hub lives in memory, so with several server processes a user
+  only gets live events from the process their stream is connected
+  to; GET /notifications always has the full list.
+*/
+
+const NOTIFICATION_TYPES = {
+  BOOKING_REQUESTED: "booking_requested",
+  BOOKING_STATUS_CHANGED: "booking_status_changed",
+  MESSAGE_RECEIVED: "message_received",
+  REVIEW_RECEIVED: "review_received",
+};
+
+const NOTIFICATION_MESSAGES = {
+  [NOTIFICATION_TYPES.BOOKING_REQUESTED]: ({ listingTitle }) =>
+    `New booking request for "${listingTitle}".`,
+  // recipientRole is "Seeker" or "Provider", the recipient's side of the booking
+  [NOTIFICATION_TYPES.BOOKING_STATUS_CHANGED]: ({
+    listingTitle,
+    toStatus,
+    recipientRole,
+  }) =>
+    recipientRole === "Provider"
+      ? `A booking for your listing "${listingTitle}" is now ${toStatus}.`
+      : `Your booking for "${listingTitle}" is now ${toStatus}.`,
+  [NOTIFICATION_TYPES.MESSAGE_RECEIVED]: ({ senderName }) =>
+    `New message from ${senderName}.`,
+  [NOTIFICATION_TYPES.REVIEW_RECEIVED]: ({ rating }) =>
+    `You received a new ${rating}-star review.`,
+};
+
+const describeNotification = (type, details) =>
+  NOTIFICATION_MESSAGES[type](details);
+
+// subscribe(userId, listener) registers a stream and returns an unsubscribe
+// function, or null once the user already has maxStreamsPerUser streams.
+// publish(userId, notification) calls every listener of that user.
+const createNotificationHub = ({ maxStreamsPerUser = 5 } = {}) => {
+  const listeners = new Map();
+
+  return {
+    subscribe: (userId, listener) => {
+      const userListeners = listeners.get(userId) || new Set();
+      if (userListeners.size >= maxStreamsPerUser) return null;
+      userListeners.add(listener);
+      listeners.set(userId, userListeners);
+      let subscribed = true;
+      // Safe to call more than once. The Set may have been replaced by a
+      // newer stream's once it emptied, so only remove it if it's still ours.
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        userListeners.delete(listener);
+        if (
+          userListeners.size === 0 &&
+          listeners.get(userId) === userListeners
+        ) {
+          listeners.delete(userId);
+        }
+      };
+    },
+    publish: (userId, notification) => {
+      (listeners.get(userId) || []).forEach((listener) => {
+        try {
+          listener(notification);
+        } catch (error) {
+          console.error("Notification listener failed:", error);
+        }
+      });
+    },
+    countStreams: (userId) => (listeners.get(userId) || new Set()).size,
+  };
+};
+
+const notificationHub = createNotificationHub({
+  maxStreamsPerUser:
+    parseInt(process.env.NOTIFICATION_MAX_STREAMS_PER_USER) || 5,
+});
+
+// One Server-Sent Events frame. The id lets EventSource resume with
+// Last-Event-ID after a reconnect.
+const formatSseEvent = (event, data, id) =>
+  `${
+    id !== undefined ? `id: ${id}\n` : ""
+  }event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  describeNotification,
+  createNotificationHub,
+  notificationHub,
+  formatSseEvent,
+};
@@ -0,0 +1,104 @@
+/*
+=================================================================
+                        PRICING MODULE
+=================================================================
+*/
+
+const { parseDay, getRequestedAmount } = require("./availability.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of one billing period in days for each supported price unit
+const PRICE_UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+// Accepts "Day", "per week", "monthly", ... and returns day/week/month
+const normalizePriceUnit = (priceUnit) => {
+  const unit = String(priceUnit || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^per\s+/, "");
+  if (unit === "daily") return "day";
+  if (unit === "weekly") return "week";
+  if (unit === "monthly") return "month";
+  return PRICE_UNIT_DAYS[unit] ? unit : null;
+};
+
+// Spellings of a normalized unit that may be stored in Listing.PriceUnit
+const getPriceUnitAliases = (unit) => {
+  const adverbs = { day: "daily", week: "weekly", month: "monthly" };
+  return [unit, `per ${unit}`, adverbs[unit]];
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Booking days are inclusive: a booking from the 1st to the 3rd is 3 days
+const countBookingDays = (start, end) =>
+  Math.round((end.getTime() - start.getTime()) / DAY_MS) + 1;
+
+// Per-period category surcharges of resolved booking items
+const getItemSurcharge = (bookingData, storageType) =>
+  storageType === "ItemSlot"
+    ? (bookingData.items || []).reduce(
+        (sum, item) =>
+          sum +
+          (parseFloat(item.surcharge) || 0) * (parseInt(item.quantity) || 0),
+        0
+      )
+    : 0;
+
+// Computes the cost of a booking request against a listing row
+const quoteBooking = (listing, bookingData) => {
+  const start = parseDay(bookingData.startDate);
+  const end = parseDay(bookingData.endDate);
+  if (!start || !end || end < start) {
+    return { success: false, message: "Invalid booking dates." };
+  }
+
+  const priceUnit = normalizePriceUnit(listing.PriceUnit);
+  const unitPrice = parseFloat(listing.PricePerUnit);
+  if (!priceUnit || isNaN(unitPrice)) {
+    return { success: false, message: "Listing has no valid price." };
+  }
+
+  const quantity = getRequestedAmount(bookingData, listing.StorageType);
+  if (quantity <= 0) {
+    return {
+      success: false,
+      message: "Requested capacity must be greater than zero.",
+    };
+  }
+
+  // Partially used periods are billed as full periods
+  const days = countBookingDays(start, end);
+  const periods = Math.ceil(days / PRICE_UNIT_DAYS[priceUnit]);
+  const surcharge = roundCurrency(
+    getItemSurcharge(bookingData, listing.StorageType) * periods
+  );
+  return {
+    success: true,
+    data: {
+      listingId: listing.ListingID,
+      storageType: listing.StorageType,
+      unitPrice,
+      priceUnit,
+      quantity,
+      days,
+      periods,
+      surcharge,
+      totalCost: roundCurrency(unitPrice * periods * quantity + surcharge),
+    },
+  };
+};
+
+// Client-side totals are only accepted when they match the quote to the cent
+const matchesQuote = (clientTotal, quote) =>
+  Math.abs(roundCurrency(parseFloat(clientTotal)) - quote.totalCost) < 0.01;
+
+module.exports = {
+  PRICE_UNIT_DAYS,
+  normalizePriceUnit,
+  getPriceUnitAliases,
+  countBookingDays,
+  quoteBooking,
+  matchesQuote,
+};
@@ -0,0 +1,296 @@
+/*
+=================================================================
+                    PROVIDER ANALYTICS MODULE
+=================================================================
+  Numbers behind GET /listings/provider/stats:
+    revenue     TotalCost of accepted, active and completed bookings,
+                spread evenly over the booking's days
+    occupancy   capacity used by those bookings / capacity offered
+    acceptance  accepted / (accepted + rejected + expired) of the
+                bookings requested in the range
+    lead time   days from request to start of accepted bookings
+                requested in the range
+*/
+
+const validator = require("validator");
+const {
+  MAX_CALENDAR_DAYS,
+  toDayKey,
+  parseDay,
+  addDays,
+  eachDay,
+  getListingCapacity,
+  getBookingUsage,
+} = require("./availability.js");
+const { countBookingDays } = require("./pricing.js");
+
+const EARNING_STATUSES = ["Accepted", "Active", "Completed"];
+const DECLINED_STATUSES = ["Rejected", "Expired"];
+const GROUP_BY_OPTIONS = ["day", "week", "month"];
+const FORMAT_OPTIONS = ["json", "csv"];
+const STATS_PARAMS = ["from", "to", "groupBy", "listingId", "format"];
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+// Returns { success, filters } or { success: false, errors: { param: message } }.
+// Defaults to the last 30 days grouped by day.
+const parseStatsQuery = (query, now = new Date()) => {
+  const errors = {};
+  Object.keys(query).forEach((param) => {
+    if (!STATS_PARAMS.includes(param)) {
+      errors[param] = "Unknown parameter.";
+    } else if (typeof query[param] !== "string") {
+      errors[param] = "Must be a single value.";
+    }
+  });
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+
+  const { from, to, groupBy, listingId, format } = query;
+  const toDay = to !== undefined ? parseDay(to) : parseDay(now);
+  const fromDay =
+    from !== undefined
+      ? parseDay(from)
+      : toDay && addDays(toDay, -(DEFAULT_RANGE_DAYS - 1));
+  if (!fromDay) errors.from = "Must be a valid date.";
+  if (!toDay) errors.to = "Must be a valid date.";
+  if (fromDay && toDay) {
+    const days = countBookingDays(fromDay, toDay);
+    if (days < 1) errors.to = "Must be on or after from.";
+    else if (days > MAX_CALENDAR_DAYS) {
+      errors.to = `The range can span at most ${MAX_CALENDAR_DAYS} days.`;
+    }
+  }
+
+  const filters = {
+    from: fromDay && toDayKey(fromDay),
+    to: toDay && toDayKey(toDay),
+    groupBy: "day",
+    format: "json",
+  };
+  if (groupBy !== undefined) {
+    if (GROUP_BY_OPTIONS.includes(groupBy)) filters.groupBy = groupBy;
+    else errors.groupBy = `Must be one of: ${GROUP_BY_OPTIONS.join(", ")}.`;
+  }
+  if (format !== undefined) {
+    if (FORMAT_OPTIONS.includes(format)) filters.format = format;
+    else errors.format = `Must be one of: ${FORMAT_OPTIONS.join(", ")}.`;
+  }
+  if (listingId !== undefined) {
+    if (validator.isInt(listingId, { min: 1 })) {
+      filters.listingId = parseInt(listingId);
+    } else {
+      errors.listingId = "Must be a positive whole number.";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { success: false, errors };
+  return { success: true, filters };
+};
+
+// Period a day key belongs to: the day itself, the Monday of its week
+// or its month ("2026-03")
+const getPeriodKey = (dayKey, groupBy) => {
+  if (groupBy === "month") return dayKey.slice(0, 7);
+  if (groupBy === "week") {
+    const date = new Date(`${dayKey}T00:00:00.000Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return toDayKey(date.getTime() - daysSinceMonday * DAY_MS);
+  }
+  return dayKey;
+};
+
+// Revenue and used capacity of one listing for every day of the range
+const buildDailyUsage = (listing, bookings, days) => {
+  const daily = {};
+  days.forEach((day) => (daily[day] = { revenue: 0, used: 0 }));
+  bookings
+    .filter((booking) => EARNING_STATUSES.includes(booking.BookingStatus))
+    .forEach((booking) => {
+      const startKey = toDayKey(booking.StartDate);
+      const endKey = toDayKey(booking.EndDate);
+      const dailyRevenue =
+        (parseFloat(booking.TotalCost) || 0) /
+        countBookingDays(parseDay(startKey), parseDay(endKey));
+      const usage = getBookingUsage(booking, listing.StorageType);
+      days
+        .filter((day) => day >= startKey && day <= endKey)
+        .forEach((day) => {
+          daily[day].revenue += dailyRevenue;
+          daily[day].used += usage;
+        });
+    });
+  return daily;
+};
+
+// Acceptance rate and average lead time of the bookings requested in the range
+const summarizeRequests = (bookings, from, to) => {
+  const requested = bookings.filter((booking) => {
+    const day = toDayKey(booking.RequestDate);
+    return day >= from && day <= to;
+  });
+  const accepted = requested.filter((booking) =>
+    EARNING_STATUSES.includes(booking.BookingStatus)
+  );
+  const declined = requested.filter((booking) =>
+    DECLINED_STATUSES.includes(booking.BookingStatus)
+  );
+  const leadTimes = accepted.map(
+    (booking) =>
+      (parseDay(booking.StartDate) - parseDay(booking.RequestDate)) / DAY_MS
+  );
+  return {
+    requests: requested.length,
+    acceptanceRate: round(
+      ratio(accepted.length, accepted.length + declined.length),
+      4
+    ),
+    averageLeadTimeDays: round(
+      ratio(
+        leadTimes.reduce((sum, days) => sum + days, 0),
+        leadTimes.length
+      ),
+      1
+    ),
+  };
+};
+
+const summarizePeriods = (daily, capacity, days, groupBy) => {
+  const periods = new Map();
+  days.forEach((day) => {
+    const key = getPeriodKey(day, groupBy);
+    const period = periods.get(key) || { revenue: 0, used: 0, offered: 0 };
+    period.revenue += daily[day].revenue;
+    period.used += daily[day].used;
+    period.offered += capacity;
+    periods.set(key, period);
+  });
+  return [...periods.entries()].map(([period, totals]) => ({
+    period,
+    revenue: round(totals.revenue),
+    occupancyRate: round(ratio(totals.used, totals.offered), 4),
+  }));
+};
+
+// listings: the provider's Listing rows; bookings: their bookings that
+// overlap the range or were requested in it (SlotQuantity weighted as in
+// getOverlappingBookings)
+const buildProviderStats = (listings, bookings, { from, to, groupBy }) => {
+  const days = eachDay(from, to);
+  const listingStats = listings.map((listing) => {
+    const listingBookings = bookings.filter(
+      (booking) => booking.ListingID === listing.ListingID
+    );
+    const capacity = getListingCapacity(listing);
+    const daily = buildDailyUsage(listing, listingBookings, days);
+    const periods = summarizePeriods(daily, capacity, days, groupBy);
+    const used = days.reduce((sum, day) => sum + daily[day].used, 0);
+    return {
+      listingId: listing.ListingID,
+      title: listing.Title,
+      storageType: listing.StorageType,
+      capacity,
+      revenue: round(periods.reduce((sum, period) => sum + period.revenue, 0)),
+      occupancyRate: round(ratio(used, capacity * days.length), 4),
+      ...summarizeRequests(listingBookings, from, to),
+      periods,
+    };
+  });
+
+  // Slots and square meters can't be added up, so the overall occupancy
+  // is the average of the listings' rates
+  const averageOccupancy = (rates) => {
+    const known = rates.filter((rate) => rate !== null);
+    return round(
+      ratio(
+        known.reduce((sum, rate) => sum + rate, 0),
+        known.length
+      ),
+      4
+    );
+  };
+  const periods = (listingStats[0] ? listingStats[0].periods : []).map(
+    ({ period }, index) => ({
+      period,
+      revenue: round(
+        listingStats.reduce(
+          (sum, stats) => sum + stats.periods[index].revenue,
+          0
+        )
+      ),
+      occupancyRate: averageOccupancy(
+        listingStats.map((stats) => stats.periods[index].occupancyRate)
+      ),
+    })
+  );
+
+  return {
+    from,
+    to,
+    groupBy,
+    totals: {
+      revenue: round(
+        listingStats.reduce((sum, stats) => sum + stats.revenue, 0)
+      ),
+      occupancyRate: averageOccupancy(
+        listingStats.map((stats) => stats.occupancyRate)
+      ),
+      ...summarizeRequests(bookings, from, to),
+      periods,
+    },
+    listings: listingStats,
+  };
+};
+
+const CSV_COLUMNS = [
+  "listingId",
+  "title",
+  "period",
+  "revenue",
+  "occupancyRate",
+];
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  // Quote values with separators and neutralize spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// One row per listing and period, followed by the totals ("all")
+const toStatsCsv = (stats) => {
+  const rows = [
+    ...stats.listings.flatMap((listing) =>
+      listing.periods.map((period) => ({
+        listingId: listing.listingId,
+        title: listing.title,
+        ...period,
+      }))
+    ),
+    ...stats.totals.periods.map((period) => ({
+      listingId: "all",
+      title: "All listings",
+      ...period,
+    })),
+  ];
+  return [
+    CSV_COLUMNS.join(","),
+    ...rows.map((row) =>
+      CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(",")
+    ),
+  ].join("\n");
+};
+
+module.exports = {
+  EARNING_STATUSES,
+  GROUP_BY_OPTIONS,
+  parseStatsQuery,
+  getPeriodKey,
+  buildProviderStats,
+  toStatsCsv,
+};
@@ -0,0 +1,47 @@
+/*
+=================================================================
+                    RATE LIMIT STORE MODULE
+=================================================================
+  A rate limit store is any object with
+    increment(key, windowMs) -> Promise<{ count, resetAt }>
+    reset(key) -> Promise
+  Counters use fixed windows: the first hit of a key starts a window of
+  windowMs, and the count resets once it is over.
+*/
+
+// Single-process store, also used by tests. Counters are lost on restart,
+// which is fine for throttling (lockouts are kept in the DB instead).
+const createMemoryRateLimitStore = ({
+  sweepIntervalMs = 60 * 1000,
+  now = Date.now,
+} = {}) => {
+  const counters = new Map();
+
+  const sweep = () => {
+    const time = now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= time) counters.delete(key);
+    });
+  };
+  const sweepTimer = setInterval(sweep, sweepIntervalMs);
+  sweepTimer.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const time = now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= time) {
+        counter = { count: 0, resetAt: time + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+    stop: () => clearInterval(sweepTimer),
+  };
+};
+
+module.exports = { createMemoryRateLimitStore };
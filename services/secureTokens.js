@@ -0,0 +1,17 @@
+/*
+=================================================================
+                      SECURE TOKEN HELPERS
+=================================================================
+*/
+
+const crypto = require("crypto");
+
+// Random URL-safe token sent to the user
+const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+// Tokens are stored hashed so a leaked table cannot be used to log in
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,150 @@
+/*
+=================================================================
+                        FILE STORAGE MODULE
+=================================================================
+  A storage driver is any object with
+    put(key, body, contentType) -> Promise
+    remove(key)                 -> Promise (missing keys are ignored)
+    getUrl(key)                 -> Promise<string>
+  The DB only stores keys (e.g. "listingImages-1754827701907-974450233.jpg");
+  they are turned into URLs when a response is built, see resolveMediaUrls.
+  Pick a driver with the STORAGE_DRIVER env variable: "s3" or "local"
+  (default).
+*/
+
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+// Keys are plain file names, so they can never point outside the directory
+const assertValidKey = (key) => {
+  if (!key || path.basename(key) !== key || key.startsWith(".")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+// Development / single instance: files live in a local folder that
+// index.js serves under /uploads (STORAGE_LOCAL_DIR, STORAGE_PUBLIC_URL)
+const createLocalStorage = ({
+  directory = "uploads",
+  publicUrl = "/uploads",
+}) => ({
+  put: async (key, body) => {
+    assertValidKey(key);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, key), body);
+  },
+  remove: async (key) => {
+    assertValidKey(key);
+    await fs.promises.unlink(path.join(directory, key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  },
+  getUrl: async (key) => `${publicUrl}/${encodeURIComponent(key)}`,
+});
+
+// Any S3-compatible service (AWS S3, MinIO, R2, ...). Objects are private
+// and served through signed URLs unless S3_PUBLIC_URL points at a public
+// bucket or CDN.
+const createS3Storage = ({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl,
+  signedUrlTtlSeconds = 3600,
+}) => {
+  if (!bucket) throw new Error("S3_BUCKET must be set for the s3 driver.");
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted services only support path-style URLs
+    forcePathStyle: Boolean(endpoint) || forcePathStyle === "true",
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  return {
+    put: async (key, body, contentType) => {
+      assertValidKey(key);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+    remove: async (key) => {
+      assertValidKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    getUrl: async (key) =>
+      publicUrl
+        ? `${publicUrl.replace(/\/$/, "")}/${encodeURIComponent(key)}`
+        : getSignedUrl(
+            client,
+            new GetObjectCommand({ Bucket: bucket, Key: key }),
+            {
+              expiresIn: signedUrlTtlSeconds,
+            }
+          ),
+  };
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER) => {
+  switch (name) {
+    case "s3":
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        signedUrlTtlSeconds:
+          (parseInt(process.env.S3_SIGNED_URL_TTL_MINUTES) || 60) * 60,
+      });
+    default:
+      return createLocalStorage({
+        directory: process.env.STORAGE_LOCAL_DIR,
+        publicUrl: process.env.STORAGE_PUBLIC_URL,
+      });
+  }
+};
+
+// Shared instance used by the upload middleware and the DB layer
+const storage = createStorage();
+
+// Replaces the storage keys in the given fields of one record or an array
+// of records with URLs. Records are changed in place and returned.
+const resolveMediaUrls = async (records, fields) => {
+  const list = [].concat(records || []);
+  await Promise.all(
+    list.flatMap((record) =>
+      fields
+        // Absolute URLs (e.g. rows written by hand) are passed through
+        .filter((field) => record[field] && !/^https?:\/\//.test(record[field]))
+        .map(async (field) => {
+          record[field] = await storage.getUrl(record[field]);
+        })
+    )
+  );
+  return records;
+};
+
+module.exports = {
+  storage,
+  createStorage,
+  createLocalStorage,
+  createS3Storage,
+  resolveMediaUrls,
+};
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getRequestedAmount,
+  buildAvailabilityCalendar,
+  getPeakUsage,
+  getMinimumRemaining,
+} = require("../services/availability.js");
+
+const slotListing = { StorageType: "ItemSlot", TotalCapacity_Slots: 10 };
+const sqmListing = { StorageType: "SquareMeter", CapacitySQMeter: "20.5" };
+
+const booking = (start, end, usage) => ({
+  StartDate: new Date(`${start}T00:00:00.000Z`),
+  EndDate: new Date(`${end}T00:00:00.000Z`),
+  SlotQuantity: usage,
+  RequestedCapacity_SQMeters: usage,
+});
+
+test("getRequestedAmount weights items by their slot weight", () => {
+  assert.equal(
+    getRequestedAmount(
+      { items: [{ quantity: 2, slotWeight: 3 }, { quantity: 1 }] },
+      "ItemSlot"
+    ),
+    7
+  );
+  assert.equal(getRequestedAmount({}, "ItemSlot"), 0);
+  assert.equal(getRequestedAmount({ requestedSqm: "4.5" }, "SquareMeter"), 4.5);
+});
+
+test("buildAvailabilityCalendar subtracts overlapping bookings per day", () => {
+  const calendar = buildAvailabilityCalendar(
+    slotListing,
+    [
+      booking("2026-03-01", "2026-03-02", 4),
+      booking("2026-03-02", "2026-03-05", 7),
+    ],
+    "2026-03-01",
+    "2026-03-03"
+  );
+  assert.deepEqual(calendar, [
+    { date: "2026-03-01", booked: 4, remaining: 6 },
+    { date: "2026-03-02", booked: 11, remaining: 0 },
+    { date: "2026-03-03", booked: 7, remaining: 3 },
+  ]);
+  assert.equal(getMinimumRemaining(calendar, 10), 0);
+  assert.equal(getMinimumRemaining([], 10), 10);
+});
+
+test("buildAvailabilityCalendar uses square meters for SquareMeter listings", () => {
+  const calendar = buildAvailabilityCalendar(
+    sqmListing,
+    [booking("2026-03-01", "2026-03-01", "5.5")],
+    "2026-03-01",
+    "2026-03-02"
+  );
+  assert.deepEqual(
+    calendar.map((day) => day.remaining),
+    [15, 20.5]
+  );
+});
+
+test("getPeakUsage finds the busiest day, not the sum of all bookings", () => {
+  const bookings = [
+    booking("2026-03-01", "2026-03-03", 4),
+    booking("2026-03-04", "2026-03-06", 5),
+    booking("2026-03-03", "2026-03-04", 2),
+  ];
+  assert.equal(getPeakUsage(bookings, "ItemSlot"), 7);
+  assert.equal(getPeakUsage([], "ItemSlot"), 0);
+  assert.equal(
+    getPeakUsage([booking("2026-03-01", "2026-03-02", "2.5")], "SquareMeter"),
+    2.5
+  );
+});
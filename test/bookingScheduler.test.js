@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getScheduledTransition,
+  createBookingScheduler,
+} = require("../services/bookingScheduler.js");
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-03-10T12:00:00.000Z");
+const TTL_MS = 72 * HOUR_MS;
+
+const silentLogger = { log: () => {}, error: () => {} };
+
+test("getScheduledTransition expires stale or started Pending requests", () => {
+  const booking = {
+    BookingStatus: "Pending",
+    RequestDate: new Date(NOW - 73 * HOUR_MS),
+    StartDate: "2026-03-20",
+    EndDate: "2026-03-25",
+  };
+  assert.equal(getScheduledTransition(booking, NOW, TTL_MS), "Expired");
+
+  const fresh = { ...booking, RequestDate: new Date(NOW - HOUR_MS) };
+  assert.equal(getScheduledTransition(fresh, NOW, TTL_MS), null);
+
+  const started = { ...fresh, StartDate: "2026-03-10T00:00:00.000Z" };
+  assert.equal(getScheduledTransition(started, NOW, TTL_MS), "Expired");
+});
+
+test("getScheduledTransition activates and completes accepted bookings", () => {
+  const accepted = {
+    BookingStatus: "Accepted",
+    StartDate: "2026-03-09",
+    EndDate: "2026-03-12",
+  };
+  assert.equal(getScheduledTransition(accepted, NOW, TTL_MS), "Active");
+  assert.equal(
+    getScheduledTransition(
+      { ...accepted, StartDate: "2026-03-11" },
+      NOW,
+      TTL_MS
+    ),
+    null
+  );
+  // Missed the whole stay while the scheduler was down
+  assert.equal(
+    getScheduledTransition({ ...accepted, EndDate: "2026-03-09" }, NOW, TTL_MS),
+    "Completed"
+  );
+
+  const active = { ...accepted, BookingStatus: "Active" };
+  assert.equal(getScheduledTransition(active, NOW, TTL_MS), null);
+  // The last booked day still counts as active
+  assert.equal(
+    getScheduledTransition({ ...active, EndDate: "2026-03-10" }, NOW, TTL_MS),
+    null
+  );
+  assert.equal(
+    getScheduledTransition({ ...active, EndDate: "2026-03-09" }, NOW, TTL_MS),
+    "Completed"
+  );
+  assert.equal(
+    getScheduledTransition(
+      { ...accepted, BookingStatus: "Completed" },
+      NOW,
+      TTL_MS
+    ),
+    null
+  );
+});
+
+test("runOnce applies due transitions as the System actor", async () => {
+  const calls = [];
+  const dataPool = {
+    getBookingsDueForTransition: async (now, pendingCutoff) => {
+      calls.push({ now, pendingCutoff });
+      return [
+        {
+          BookingID: 1,
+          BookingStatus: "Pending",
+          RequestDate: new Date(NOW - 100 * HOUR_MS),
+          StartDate: "2026-04-01",
+          EndDate: "2026-04-02",
+        },
+        {
+          BookingID: 2,
+          BookingStatus: "Accepted",
+          StartDate: "2026-03-01",
+          EndDate: "2026-03-20",
+        },
+        {
+          BookingID: 3,
+          BookingStatus: "Active",
+          StartDate: "2026-03-01",
+          EndDate: "2026-03-05",
+        },
+        {
+          BookingID: 4,
+          BookingStatus: "Accepted",
+          StartDate: "2026-03-30",
+          EndDate: "2026-04-02",
+        },
+      ];
+    },
+    changeBookingStatus: async (bookingId, status, actor) => {
+      calls.push({ bookingId, status, actor });
+      return bookingId === 3
+        ? { success: false, message: "Conflict." }
+        : { success: true };
+    },
+  };
+  const scheduler = createBookingScheduler({
+    dataPool,
+    clock: () => NOW,
+    pendingTtlHours: 72,
+    logger: silentLogger,
+  });
+
+  const summary = await scheduler.runOnce();
+
+  assert.deepEqual(summary, {
+    checked: 4,
+    Expired: 1,
+    Active: 1,
+    Completed: 0,
+    failed: 1,
+  });
+  assert.deepEqual(calls[0], {
+    now: NOW,
+    pendingCutoff: new Date(NOW - TTL_MS),
+  });
+  assert.deepEqual(
+    calls.slice(1).map(({ bookingId, status }) => [bookingId, status]),
+    [
+      [1, "Expired"],
+      [2, "Active"],
+      [3, "Completed"],
+    ]
+  );
+  calls
+    .slice(1)
+    .forEach(({ actor }) =>
+      assert.deepEqual(actor, { userId: null, role: "System" })
+    );
+});
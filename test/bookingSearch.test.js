@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProviderBookingQuery } = require("../services/bookingSearch.js");
+
+test("parseProviderBookingQuery applies defaults", () => {
+  assert.deepEqual(parseProviderBookingQuery({}), {
+    success: true,
+    filters: { sort: "newest", page: 1, pageSize: 20 },
+  });
+});
+
+test("parseProviderBookingQuery parses every filter", () => {
+  const result = parseProviderBookingQuery({
+    status: "Pending, Accepted",
+    listingId: "4",
+    from: "2026-03-01",
+    to: "2026-03-31",
+    sort: "start_date",
+    page: "2",
+    pageSize: "50",
+  });
+  assert.deepEqual(result.filters, {
+    sort: "start_date",
+    statuses: ["Pending", "Accepted"],
+    listingId: 4,
+    from: "2026-03-01",
+    to: "2026-03-31",
+    page: 2,
+    pageSize: 50,
+  });
+});
+
+test("parseProviderBookingQuery reports invalid parameters", () => {
+  const result = parseProviderBookingQuery({
+    status: "Pending,Lost",
+    listingId: "abc",
+    from: "2026-03-10",
+    to: "2026-03-01",
+    sort: "price",
+    page: "0",
+    pageSize: "500",
+  });
+  assert.equal(result.success, false);
+  assert.deepEqual(Object.keys(result.errors).sort(), [
+    "listingId",
+    "page",
+    "pageSize",
+    "sort",
+    "status",
+    "to",
+  ]);
+  assert.deepEqual(parseProviderBookingQuery({ nope: "1" }).errors, {
+    nope: "Unknown search parameter.",
+  });
+  assert.deepEqual(parseProviderBookingQuery({ status: ["Pending"] }).errors, {
+    status: "Must be a single value.",
+  });
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getAcceptedCategories,
+  resolveBookingItems,
+} = require("../services/itemCategories.js");
+
+const active = [
+  { CategoryID: 1, Name: "Boxes" },
+  { CategoryID: 2, Name: "Furniture" },
+];
+
+test("getAcceptedCategories accepts every active category by default", () => {
+  assert.deepEqual(getAcceptedCategories([], active), [
+    { CategoryID: 1, Name: "Boxes", SlotWeight: 1, Surcharge: 0 },
+    { CategoryID: 2, Name: "Furniture", SlotWeight: 1, Surcharge: 0 },
+  ]);
+});
+
+test("getAcceptedCategories keeps a restricted listing restricted", () => {
+  const listingCategories = [
+    {
+      CategoryID: 2,
+      Name: "Furniture",
+      IsActive: 1,
+      SlotWeight: 3,
+      Surcharge: "2.50",
+    },
+    {
+      CategoryID: 3,
+      Name: "Bikes",
+      IsActive: 0,
+      SlotWeight: 2,
+      Surcharge: "0",
+    },
+  ];
+  assert.deepEqual(getAcceptedCategories(listingCategories, active), [
+    { CategoryID: 2, Name: "Furniture", SlotWeight: 3, Surcharge: 2.5 },
+  ]);
+  // Every allowed category deactivated: nothing is accepted
+  assert.deepEqual(getAcceptedCategories([listingCategories[1]], active), []);
+});
+
+test("resolveBookingItems takes weight and surcharge from the listing", () => {
+  const accepted = [
+    { CategoryID: 2, Name: "Furniture", SlotWeight: 3, Surcharge: 2.5 },
+  ];
+  assert.deepEqual(
+    resolveBookingItems(
+      [{ categoryId: "2", quantity: "2", slotWeight: 1, surcharge: 0 }],
+      accepted
+    ),
+    {
+      success: true,
+      items: [{ categoryId: 2, quantity: 2, slotWeight: 3, surcharge: 2.5 }],
+    }
+  );
+});
+
+test("resolveBookingItems rejects unknown and repeated categories", () => {
+  const accepted = getAcceptedCategories([], active);
+  assert.match(
+    resolveBookingItems([{ categoryId: 9, quantity: 1 }], accepted).errors
+      .items,
+    /does not accept category 9/
+  );
+  assert.match(
+    resolveBookingItems(
+      [
+        { categoryId: 1, quantity: 1 },
+        { categoryId: 1, quantity: 2 },
+      ],
+      accepted
+    ).errors.items,
+    /listed more than once/
+  );
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  canProviderTransition,
+  isListingVisibleTo,
+} = require("../services/listingLifecycle.js");
+
+test("providers can't change admin-moderated listings", () => {
+  assert.equal(canProviderTransition("Draft", "Active"), true);
+  assert.equal(canProviderTransition("Active", "Draft"), false);
+  assert.equal(canProviderTransition("Hidden", "Active"), false);
+  assert.equal(canProviderTransition("Removed", "Deleted"), false);
+});
+
+test("only Active listings are visible to everyone", () => {
+  const listing = (Status) => ({ Status, ProviderID: 3 });
+  assert.equal(isListingVisibleTo(listing("Active"), undefined), true);
+  ["Draft", "Paused", "Archived", "Hidden", "Removed"].forEach((status) => {
+    assert.equal(isListingVisibleTo(listing(status), undefined), false);
+    assert.equal(isListingVisibleTo(listing(status), 4), false);
+    assert.equal(isListingVisibleTo(listing(status), 3), true);
+  });
+  assert.equal(isListingVisibleTo(listing("Deleted"), 3), false);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createNotificationHub,
+  describeNotification,
+  formatSseEvent,
+} = require("../services/notifications.js");
+
+test("the hub only delivers to the user's own listeners", () => {
+  const hub = createNotificationHub();
+  const received = [];
+  hub.subscribe(1, (notification) => received.push(["a", notification.id]));
+  hub.subscribe(1, (notification) => received.push(["b", notification.id]));
+  hub.subscribe(2, (notification) => received.push(["c", notification.id]));
+
+  hub.publish(1, { id: 10 });
+  assert.deepEqual(received, [
+    ["a", 10],
+    ["b", 10],
+  ]);
+  assert.equal(hub.countStreams(1), 2);
+});
+
+test("the hub limits streams per user", () => {
+  const hub = createNotificationHub({ maxStreamsPerUser: 1 });
+  const unsubscribe = hub.subscribe(1, () => {});
+  assert.equal(
+    hub.subscribe(1, () => {}),
+    null
+  );
+  unsubscribe();
+  assert.notEqual(
+    hub.subscribe(1, () => {}),
+    null
+  );
+});
+
+test("a repeated unsubscribe leaves newer streams alone", () => {
+  const hub = createNotificationHub();
+  const unsubscribe = hub.subscribe(1, () => {});
+  unsubscribe();
+  let received = 0;
+  hub.subscribe(1, () => received++);
+  unsubscribe();
+  hub.publish(1, {});
+  assert.equal(received, 1);
+  assert.equal(hub.countStreams(1), 1);
+});
+
+test("a failing listener doesn't stop the others", (t) => {
+  t.mock.method(console, "error", () => {});
+  const hub = createNotificationHub();
+  let received = 0;
+  hub.subscribe(1, () => {
+    throw new Error("closed");
+  });
+  hub.subscribe(1, () => received++);
+  hub.publish(1, {});
+  assert.equal(received, 1);
+});
+
+test("booking status messages are worded for the recipient", () => {
+  const details = { listingTitle: "Garage", toStatus: "Cancelled" };
+  assert.equal(
+    describeNotification("booking_status_changed", {
+      ...details,
+      recipientRole: "Seeker",
+    }),
+    'Your booking for "Garage" is now Cancelled.'
+  );
+  assert.equal(
+    describeNotification("booking_status_changed", {
+      ...details,
+      recipientRole: "Provider",
+    }),
+    'A booking for your listing "Garage" is now Cancelled.'
+  );
+});
+
+test("formatSseEvent builds an EventSource frame", () => {
+  assert.equal(
+    formatSseEvent("notification", { a: 1 }, 5),
+    'id: 5\nevent: notification\ndata: {"a":1}\n\n'
+  );
+  assert.equal(
+    formatSseEvent("unread", { unread: 0 }),
+    'event: unread\ndata: {"unread":0}\n\n'
+  );
+});
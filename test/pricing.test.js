@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizePriceUnit,
+  countBookingDays,
+  quoteBooking,
+  matchesQuote,
+} = require("../services/pricing.js");
+
+const slotListing = {
+  ListingID: 1,
+  StorageType: "ItemSlot",
+  PricePerUnit: "5.00",
+  PriceUnit: "per week",
+};
+const sqmListing = {
+  ListingID: 2,
+  StorageType: "SquareMeter",
+  PricePerUnit: "2.50",
+  PriceUnit: "Day",
+};
+
+test("normalizePriceUnit accepts the stored spellings", () => {
+  assert.equal(normalizePriceUnit("Day"), "day");
+  assert.equal(normalizePriceUnit("per week"), "week");
+  assert.equal(normalizePriceUnit("monthly"), "month");
+  assert.equal(normalizePriceUnit("hourly"), null);
+  assert.equal(normalizePriceUnit(undefined), null);
+});
+
+test("countBookingDays counts both the first and the last day", () => {
+  const day = (value) => new Date(`${value}T00:00:00.000Z`);
+  assert.equal(countBookingDays(day("2026-03-01"), day("2026-03-01")), 1);
+  assert.equal(countBookingDays(day("2026-03-01"), day("2026-03-03")), 3);
+  assert.equal(countBookingDays(day("2026-02-25"), day("2026-03-04")), 8);
+});
+
+test("quoteBooking bills partially used periods in full", () => {
+  const quote = quoteBooking(slotListing, {
+    startDate: "2026-03-01",
+    endDate: "2026-03-08",
+    items: [{ quantity: 2, slotWeight: 1 }],
+  });
+  assert.equal(quote.success, true);
+  assert.equal(quote.data.days, 8);
+  assert.equal(quote.data.periods, 2);
+  assert.equal(quote.data.quantity, 2);
+  assert.equal(quote.data.totalCost, 20);
+});
+
+test("quoteBooking weights items and adds per-period surcharges", () => {
+  const quote = quoteBooking(slotListing, {
+    startDate: "2026-03-01",
+    endDate: "2026-03-14",
+    items: [
+      { quantity: 1, slotWeight: 3, surcharge: 1.5 },
+      { quantity: 2, slotWeight: 1, surcharge: 0 },
+    ],
+  });
+  assert.equal(quote.data.quantity, 5);
+  assert.equal(quote.data.periods, 2);
+  assert.equal(quote.data.surcharge, 3);
+  assert.equal(quote.data.totalCost, 53);
+});
+
+test("quoteBooking prices square meter bookings per day", () => {
+  const quote = quoteBooking(sqmListing, {
+    startDate: "2026-03-01",
+    endDate: "2026-03-03",
+    requestedSqm: "4",
+  });
+  assert.equal(quote.data.totalCost, 30);
+  assert.equal(quote.data.surcharge, 0);
+});
+
+test("quoteBooking rejects bad dates, prices and empty requests", () => {
+  assert.equal(
+    quoteBooking(sqmListing, {
+      startDate: "2026-03-05",
+      endDate: "2026-03-01",
+      requestedSqm: 1,
+    }).message,
+    "Invalid booking dates."
+  );
+  assert.equal(
+    quoteBooking(
+      { ...sqmListing, PriceUnit: "hourly" },
+      { startDate: "2026-03-01", endDate: "2026-03-02", requestedSqm: 1 }
+    ).message,
+    "Listing has no valid price."
+  );
+  assert.equal(
+    quoteBooking(sqmListing, {
+      startDate: "2026-03-01",
+      endDate: "2026-03-02",
+      requestedSqm: 0,
+    }).success,
+    false
+  );
+});
+
+test("matchesQuote only accepts totals equal to the cent", () => {
+  assert.equal(matchesQuote("20.00", { totalCost: 20 }), true);
+  assert.equal(matchesQuote(20.004, { totalCost: 20 }), true);
+  assert.equal(matchesQuote("19.99", { totalCost: 20 }), false);
+});
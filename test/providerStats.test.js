@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseStatsQuery,
+  getPeriodKey,
+  buildProviderStats,
+  toStatsCsv,
+} = require("../services/providerStats.js");
+
+const listings = [
+  {
+    ListingID: 1,
+    Title: "Garage",
+    StorageType: "ItemSlot",
+    TotalCapacity_Slots: 10,
+  },
+  {
+    ListingID: 2,
+    Title: "Room",
+    StorageType: "SquareMeter",
+    CapacitySQMeter: 20,
+  },
+];
+const bookings = [
+  {
+    ListingID: 1,
+    BookingStatus: "Accepted",
+    StartDate: new Date("2026-03-05"),
+    EndDate: new Date("2026-03-14"),
+    RequestDate: new Date("2026-03-01T10:00:00Z"),
+    TotalCost: "100.00",
+    SlotQuantity: "5",
+  },
+  {
+    ListingID: 1,
+    BookingStatus: "Rejected",
+    StartDate: new Date("2026-03-05"),
+    EndDate: new Date("2026-03-06"),
+    RequestDate: new Date("2026-03-02"),
+    TotalCost: "10.00",
+    SlotQuantity: "1",
+  },
+  {
+    ListingID: 2,
+    BookingStatus: "Completed",
+    StartDate: new Date("2026-02-25"),
+    EndDate: new Date("2026-03-04"),
+    RequestDate: new Date("2026-02-20"),
+    TotalCost: "80.00",
+    RequestedCapacity_SQMeters: "10",
+    SlotQuantity: 0,
+  },
+];
+const range = { from: "2026-03-01", to: "2026-03-20", groupBy: "week" };
+
+test("parseStatsQuery defaults to the last 30 days by day", () => {
+  assert.deepEqual(parseStatsQuery({}, new Date("2026-03-10T15:00:00Z")), {
+    success: true,
+    filters: {
+      from: "2026-02-09",
+      to: "2026-03-10",
+      groupBy: "day",
+      format: "json",
+    },
+  });
+});
+
+test("parseStatsQuery rejects bad and overlong ranges", () => {
+  const result = parseStatsQuery({
+    from: "2025-01-01",
+    to: "2026-12-01",
+    groupBy: "year",
+    format: "xml",
+    listingId: "0",
+  });
+  assert.deepEqual(Object.keys(result.errors).sort(), [
+    "format",
+    "groupBy",
+    "listingId",
+    "to",
+  ]);
+  assert.equal(
+    parseStatsQuery({ from: "2026-03-05", to: "2026-03-01" }).errors.to,
+    "Must be on or after from."
+  );
+});
+
+test("getPeriodKey groups days by Monday-based week and by month", () => {
+  assert.equal(getPeriodKey("2026-03-01", "day"), "2026-03-01");
+  assert.equal(getPeriodKey("2026-03-01", "week"), "2026-02-23");
+  assert.equal(getPeriodKey("2026-03-02", "week"), "2026-03-02");
+  assert.equal(getPeriodKey("2026-03-31", "month"), "2026-03");
+});
+
+test("buildProviderStats spreads revenue over booked days in the range", () => {
+  const stats = buildProviderStats(listings, bookings, range);
+  const [garage, room] = stats.listings;
+
+  assert.equal(garage.revenue, 100);
+  // Only 4 of the room booking's 8 days fall into the range
+  assert.equal(room.revenue, 40);
+  assert.equal(stats.totals.revenue, 140);
+  assert.deepEqual(
+    garage.periods.map((period) => period.revenue),
+    [0, 40, 60, 0]
+  );
+});
+
+test("buildProviderStats computes occupancy, acceptance and lead time", () => {
+  const stats = buildProviderStats(listings, bookings, range);
+  const [garage, room] = stats.listings;
+
+  // 5 slots for 10 of 20 days out of 10 slots
+  assert.equal(garage.occupancyRate, 0.25);
+  assert.equal(room.occupancyRate, 0.1);
+  assert.equal(stats.totals.occupancyRate, 0.175);
+  assert.equal(garage.requests, 2);
+  assert.equal(garage.acceptanceRate, 0.5);
+  assert.equal(garage.averageLeadTimeDays, 4);
+  // The room booking was requested before the range
+  assert.equal(room.requests, 0);
+  assert.equal(room.acceptanceRate, null);
+});
+
+test("toStatsCsv lists every listing period and the totals", () => {
+  const csv = toStatsCsv(
+    buildProviderStats([{ ...listings[0], Title: "=Garage, big" }], bookings, {
+      ...range,
+      groupBy: "month",
+    })
+  );
+  assert.equal(
+    csv,
+    [
+      "listingId,title,period,revenue,occupancyRate",
+      `1,"'=Garage, big",2026-03,100,0.25`,
+      "all,All listings,2026-03,100,0.25",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,34 @@
+/*
+=================================================================
+                        HTTP HELPERS
+=================================================================
+*/
+
+// Failure reasons returned by authDataPool operations and their HTTP codes
+const REASON_STATUS = {
+  invalid_input: 400,
+  invalid_status: 400,
+  forbidden: 403,
+  not_found: 404,
+  invalid_transition: 409,
+  conflict: 409,
+};
+
+const getResultStatus = (result, successStatus = 200) => {
+  if (result.success) return successStatus;
+  return REASON_STATUS[result.reason] || 500;
+};
+
+// Lenient ?page=&pageSize= parsing for lists without other query
+// parameters. Listing search and the booking dashboard validate theirs
+// strictly and answer 400 instead.
+const parsePagination = (query, defaultPageSize = 20, maxPageSize = 100) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize) || defaultPageSize, 1),
+    maxPageSize
+  );
+  return { page, pageSize };
+};
+
+module.exports = { getResultStatus, parsePagination };
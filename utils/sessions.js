@@ -0,0 +1,69 @@
+/*
+=================================================================
+                        SESSION HELPERS
+=================================================================
+*/
+
+const { hashToken } = require("../services/secureTokens.js");
+
+const destroySession = (store, sessionId) =>
+  new Promise((resolve, reject) => {
+    store.destroy(sessionId, (err) => (err ? reject(err) : resolve()));
+  });
+
+// Sessions of userId as [{ id, ...sessionData }]. Uses the store's
+// findByUser when it has one (MySqlSessionStore), otherwise scans all().
+const listUserSessions = (store, userId) =>
+  new Promise((resolve, reject) => {
+    if (typeof store.findByUser === "function") {
+      return store.findByUser(userId, (err, sessions) =>
+        err ? reject(err) : resolve(sessions)
+      );
+    }
+    store.all((err, sessions) => {
+      if (err) return reject(err);
+      // MemoryStore returns { sid: session }, other stores an array
+      const list = Array.isArray(sessions)
+        ? sessions
+        : Object.entries(sessions || {}).map(([id, session]) => ({
+            ...session,
+            id,
+          }));
+      resolve(list.filter((session) => session.userId === userId));
+    });
+  });
+
+// Destroys every stored session of userId except keepSessionId.
+// Resolves with the number of destroyed sessions.
+const destroyUserSessions = async (store, userId, keepSessionId = null) => {
+  const sessions = await listUserSessions(store, userId);
+  const sessionIds = sessions
+    .map((session) => session.id)
+    .filter((sessionId) => sessionId !== keepSessionId);
+  await Promise.all(
+    sessionIds.map((sessionId) => destroySession(store, sessionId))
+  );
+  return sessionIds.length;
+};
+
+// Session ids are bearer secrets, so clients only ever see a hash of them
+const getPublicSessionId = (sessionId) => hashToken(sessionId).slice(0, 32);
+
+const toSessionSummary = (session, currentSessionId) => ({
+  id: getPublicSessionId(session.id),
+  current: session.id === currentSessionId,
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  loggedInAt: session.loggedInAt || session.createdAt || null,
+  lastSeenAt: session.lastSeenAt || null,
+  expiresAt:
+    session.expiresAt || (session.cookie && session.cookie.expires) || null,
+});
+
+module.exports = {
+  destroySession,
+  listUserSessions,
+  destroyUserSessions,
+  getPublicSessionId,
+  toSessionSummary,
+};